@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Script - Đo tốc độ tìm kiếm của AI (số node mỗi giây)
+ * Chạy: npm run bench
+ * Tùy chọn: --depth <độ sâu> (mặc định 6), --positions <số thế cờ> (mặc định 6)
+ * So sánh tìm kiếm trên bitboard (lib/bitboard.js) với tìm kiếm trên mảng
+ * cho cùng các thế cờ 8x8; hai cách phải chọn cùng nước đi.
+ */
+
+const ai = require('./lib/ai');
+const engine = require('./lib/engine');
+
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    const value = index !== -1 ? parseInt(process.argv[index + 1], 10) : NaN;
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// Same positions on every run: seeded random games from the start position
+function createPositions(count) {
+    let seed = 20240601;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const positions = [];
+    while (positions.length < count) {
+        const plies = 10 + positions.length * 6;
+        let board = engine.createStartBoard(8);
+        let player = engine.BLACK;
+        for (let i = 0; i < plies; i++) {
+            const moves = engine.getValidMoves(board, player);
+            if (moves.length === 0) break;
+            const move = moves[Math.floor(random() * moves.length)];
+            board = engine.applyMove(board, move.r, move.c, player);
+            player = engine.getTurnAfterMove(board, player).player;
+        }
+        if (engine.hasValidMove(board, player)) positions.push({ board, player, plies });
+    }
+    return positions;
+}
+
+function run(positions, depth, useBitboard) {
+    let nodes = 0;
+    let timeMs = 0;
+    const moves = [];
+    for (const { board, player } of positions) {
+        const result = ai.findBestMove(board, player, {
+            difficulty: 'hard',
+            maxDepth: depth,
+            timeLimitMs: Infinity,
+            useBitboard
+        });
+        nodes += result.nodes;
+        timeMs += result.timeMs;
+        moves.push(`${result.move.r},${result.move.c}`);
+    }
+    return { nodes, timeMs, moves, nodesPerSecond: Math.round(nodes / (Math.max(timeMs, 1) / 1000)) };
+}
+
+function main() {
+    const depth = readOption('depth', 6);
+    const positions = createPositions(readOption('positions', 6));
+    console.log(`⏱️  Đo tốc độ AI: ${positions.length} thế cờ 8x8, độ sâu ${depth}\n`);
+
+    const results = {};
+    for (const [label, useBitboard] of [['Bitboard', true], ['Mảng', false]]) {
+        const result = run(positions, depth, useBitboard);
+        results[label] = result;
+        console.log(`${label.padEnd(9)} ${String(result.nodes).padStart(10)} node  ${String(result.timeMs).padStart(7)} ms  ${result.nodesPerSecond.toLocaleString('vi-VN')} node/giây`);
+    }
+
+    const bitboard = results['Bitboard'];
+    const array = results['Mảng'];
+    if (bitboard.moves.join(' ') !== array.moves.join(' ')) {
+        console.error('\n❌ Hai cách tìm kiếm chọn nước đi khác nhau!');
+        process.exit(1);
+    }
+    const speedup = bitboard.nodesPerSecond / Math.max(array.nodesPerSecond, 1);
+    console.log(`\n✅ Cùng nước đi ở mọi thế cờ. Bitboard nhanh hơn ${speedup.toFixed(1)} lần.`);
+}
+
+main();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Cluster Script - Chạy nhiều instance server trên một máy
+ * Chạy: npm run start:cluster (CLUSTER_WORKERS=2, PORT=3000 mặc định)
+ *
+ * Mỗi worker là một instance độc lập nghe cổng riêng (PORT, PORT+1, ...),
+ * giống các node sau load balancer có sticky session. Sự kiện Socket.IO giữa
+ * các worker đi qua tiến trình chính (SOCKET_ADAPTER=ipc). Khi triển khai
+ * thật, chạy từng node với SOCKET_ADAPTER=redis và STORAGE_BACKEND=redis.
+ *
+ * Mọi worker dùng chung một SESSION_SECRET (tự sinh nếu chưa đặt) để token
+ * đăng nhập ở node này vẫn hợp lệ ở node khác, và chung một storage
+ * (mặc định sqlite; json bị từ chối vì mỗi worker sẽ ghi đè file của nhau).
+ */
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+const path = require('path');
+const { relayIpcMessages } = require('./lib/cluster');
+
+const WORKERS = parseInt(process.env.CLUSTER_WORKERS, 10) || 2;
+const BASE_PORT = parseInt(process.env.PORT, 10) || 3000;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+
+if (STORAGE_BACKEND === 'json') {
+    console.error('❌ STORAGE_BACKEND=json không dùng được với nhiều worker: hãy dùng sqlite hoặc redis.');
+    process.exit(1);
+}
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  Chưa đặt SESSION_SECRET: dùng một secret ngẫu nhiên chung cho các worker, đăng nhập sẽ mất khi khởi động lại.');
+}
+
+cluster.setupPrimary({ exec: path.join(__dirname, 'server.js') });
+relayIpcMessages(cluster);
+
+for (let i = 0; i < WORKERS; i++) {
+    const port = BASE_PORT + i;
+    const worker = cluster.fork({
+        PORT: port,
+        NODE_ID: `node-${i + 1}`,
+        SOCKET_ADAPTER: 'ipc',
+        STORAGE_BACKEND,
+        SESSION_SECRET: sessionSecret
+    });
+    console.log(`🧩 Worker node-${i + 1} (pid ${worker.process.pid}) → cổng ${port}`);
+}
+
+cluster.on('exit', (worker, code) => {
+    console.log(`Worker pid ${worker.process.pid} đã dừng (mã ${code}).`);
+});
+
+// Lets every worker save its data and snapshot its rooms before exiting
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+        for (const worker of Object.values(cluster.workers)) {
+            worker.process.kill('SIGTERM');
+        }
+    });
+}
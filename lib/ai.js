@@ -0,0 +1,402 @@
+// ==================================
+// AI.JS - Server-side Othello AI Engine
+// ==================================
+// Iterative-deepening alpha-beta (negamax) search over numeric boards
+// (0 = empty, 1 = black, 2 = white, 3 = blocked), the same representation
+// GameRoom uses, with the rules from lib/engine.js. 8x8 boards are searched
+// as bitboards (lib/bitboard.js) with the same evaluation. Plays the
+// Anti-Othello and no-pass variants when asked to.
+
+const {
+    BLOCKED,
+    opponentOf,
+    isOnBoard,
+    getValidMoves,
+    applyMove,
+    countDiscs
+} = require('./engine');
+const Bitboard = require('./bitboard');
+
+// Axis pairs used by the stability check (horizontal, vertical, both diagonals)
+const AXES = [
+    [[0, -1], [0, 1]],
+    [[-1, 0], [1, 0]],
+    [[-1, -1], [1, 1]],
+    [[-1, 1], [1, -1]]
+];
+
+const WIN_SCORE = 100000;
+
+// Default search settings per difficulty. Each value can be overridden with
+// AI_<LEVEL>_DEPTH / AI_<LEVEL>_TIME_MS environment variables.
+const DIFFICULTY_SETTINGS = {
+    easy: { maxDepth: 2, timeLimitMs: 200, randomness: 0.25, useBook: false },
+    medium: { maxDepth: 4, timeLimitMs: 700, randomness: 0, useBook: true },
+    hard: { maxDepth: 10, timeLimitMs: 2000, randomness: 0, useBook: true }
+};
+
+const AI_NAMES = {
+    easy: 'AI Mèo',
+    medium: 'AI Thông Minh',
+    hard: 'AI Siêu Cấp'
+};
+
+class SearchTimeout extends Error {}
+
+function getDifficultySettings(difficulty, overrides = {}) {
+    const level = DIFFICULTY_SETTINGS[difficulty] ? difficulty : 'medium';
+    const base = DIFFICULTY_SETTINGS[level];
+    const envDepth = parseInt(process.env[`AI_${level.toUpperCase()}_DEPTH`], 10);
+    const envTime = parseInt(process.env[`AI_${level.toUpperCase()}_TIME_MS`], 10);
+    return {
+        ...base,
+        ...(Number.isInteger(envDepth) && envDepth > 0 ? { maxDepth: envDepth } : {}),
+        ...(Number.isInteger(envTime) && envTime > 0 ? { timeLimitMs: envTime } : {}),
+        ...overrides
+    };
+}
+
+function getCorners(board) {
+    const last = board.length - 1;
+    return [[0, 0], [0, last], [last, 0], [last, last]];
+}
+
+function isLineFull(board, r, c, axis) {
+    for (const [dr, dc] of axis) {
+        let nr = r + dr;
+        let nc = c + dc;
+        while (isOnBoard(board, nr, nc)) {
+            if (board[nr][nc] === 0) return false;
+            nr += dr;
+            nc += dc;
+        }
+    }
+    return true;
+}
+
+// Counts discs that can never be flipped. A disc is stable when, along every
+// axis, its line is full or one neighbour is the edge or a stable disc of the
+// same color. Starts from nothing and grows until no new disc qualifies.
+function countStableDiscs(board) {
+    const size = board.length;
+    const stable = Array(size).fill(0).map(() => Array(size).fill(false));
+    const counts = { 1: 0, 2: 0 };
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const color = board[r][c];
+                if (color === 0 || color === BLOCKED || stable[r][c]) continue;
+
+                // Blocked squares work like the edge of the board
+                const anchored = AXES.every(axis => axis.some(([dr, dc]) => {
+                    const nr = r + dr;
+                    const nc = c + dc;
+                    return !isOnBoard(board, nr, nc) || board[nr][nc] === BLOCKED ||
+                        (stable[nr][nc] && board[nr][nc] === color);
+                }) || isLineFull(board, r, c, axis));
+
+                if (anchored) {
+                    stable[r][c] = true;
+                    counts[color]++;
+                    changed = true;
+                }
+            }
+        }
+    }
+    return counts;
+}
+
+// `rules` are the search options' { antiOthello, noPass }
+function finalScore(board, player, rules = {}) {
+    const counts = countDiscs(board);
+    let diff = counts[player] - counts[opponentOf(player)];
+    if (rules.antiOthello) diff = -diff; // Fewer discs wins
+    if (diff === 0) return 0;
+    return (diff > 0 ? WIN_SCORE : -WIN_SCORE) + diff;
+}
+
+// Static evaluation from `player`'s point of view: mobility, corners,
+// stability and (late in the game) disc parity. In Anti-Othello everything
+// but mobility counts the other way.
+function evaluate(board, player, rules = {}) {
+    const opponent = opponentOf(player);
+    const counts = countDiscs(board);
+    const totalSquares = board.length * board.length - counts[BLOCKED];
+    const filledRatio = (totalSquares - counts[0]) / totalSquares;
+    const sign = rules.antiOthello ? -1 : 1;
+
+    const myMoves = getValidMoves(board, player).length;
+    const oppMoves = getValidMoves(board, opponent).length;
+    if (myMoves === 0 && oppMoves === 0) {
+        return finalScore(board, player, rules);
+    }
+    if (myMoves === 0 && rules.noPass) {
+        return -WIN_SCORE; // Stuck without a pass: lost
+    }
+
+    let score = 0;
+
+    if (myMoves + oppMoves > 0) {
+        score += 100 * (myMoves - oppMoves) / (myMoves + oppMoves);
+    }
+
+    let cornerScore = 0;
+    for (const [r, c] of getCorners(board)) {
+        if (board[r][c] === player) cornerScore++;
+        else if (board[r][c] === opponent) cornerScore--;
+        else {
+            // Discs diagonally next to an empty corner tend to give it away
+            const xr = r === 0 ? 1 : r - 1;
+            const xc = c === 0 ? 1 : c - 1;
+            if (board[xr][xc] === player) cornerScore -= 0.5;
+            else if (board[xr][xc] === opponent) cornerScore += 0.5;
+        }
+    }
+    score += sign * 250 * cornerScore;
+
+    const stable = countStableDiscs(board);
+    score += sign * 30 * (stable[player] - stable[opponent]);
+
+    if (filledRatio > 0.75) {
+        score += sign * 10 * (counts[player] - counts[opponent]);
+    }
+
+    return score;
+}
+
+function finalScoreBitboard(position, player, rules = {}) {
+    let diff = Bitboard.countDiscs(position, player) - Bitboard.countDiscs(position, opponentOf(player));
+    if (rules.antiOthello) diff = -diff;
+    if (diff === 0) return 0;
+    return (diff > 0 ? WIN_SCORE : -WIN_SCORE) + diff;
+}
+
+// evaluate() for a bitboard position; must give exactly the same scores
+function evaluateBitboard(position, player, rules = {}) {
+    const opponent = opponentOf(player);
+    const totalSquares = Bitboard.SIZE * Bitboard.SIZE - Bitboard.countBlocked(position);
+    const filledRatio = (totalSquares - Bitboard.countEmpty(position)) / totalSquares;
+    const sign = rules.antiOthello ? -1 : 1;
+
+    const myMoves = Bitboard.countMoves(position, player);
+    const oppMoves = Bitboard.countMoves(position, opponent);
+    if (myMoves === 0 && oppMoves === 0) {
+        return finalScoreBitboard(position, player, rules);
+    }
+    if (myMoves === 0 && rules.noPass) {
+        return -WIN_SCORE;
+    }
+
+    let score = 0;
+
+    if (myMoves + oppMoves > 0) {
+        score += 100 * (myMoves - oppMoves) / (myMoves + oppMoves);
+    }
+
+    let cornerScore = 0;
+    const last = Bitboard.SIZE - 1;
+    for (const [r, c] of [[0, 0], [0, last], [last, 0], [last, last]]) {
+        const xr = r === 0 ? 1 : r - 1;
+        const xc = c === 0 ? 1 : c - 1;
+        if (Bitboard.hasDisc(position, player, r, c)) cornerScore++;
+        else if (Bitboard.hasDisc(position, opponent, r, c)) cornerScore--;
+        else if (Bitboard.hasDisc(position, player, xr, xc)) cornerScore -= 0.5;
+        else if (Bitboard.hasDisc(position, opponent, xr, xc)) cornerScore += 0.5;
+    }
+    score += sign * 250 * cornerScore;
+
+    const stable = Bitboard.countStableDiscs(position);
+    score += sign * 30 * (stable[player] - stable[opponent]);
+
+    if (filledRatio > 0.75) {
+        score += sign * 10 * (Bitboard.countDiscs(position, player) - Bitboard.countDiscs(position, opponent));
+    }
+
+    return score;
+}
+
+// How the search reads and plays positions: arrays for any board size, or
+// bitboards on 8x8. Moves are { r, c } either way.
+const ARRAY_SEARCH = {
+    fromBoard: board => board,
+    getMoves: getValidMoves,
+    play: (board, move, player) => applyMove(board, move.r, move.c, player),
+    isFull: board => countDiscs(board)[0] === 0,
+    evaluate,
+    finalScore
+};
+
+const BITBOARD_SEARCH = {
+    fromBoard: Bitboard.fromArray,
+    getMoves: Bitboard.getMoves,
+    play: (position, move, player) => Bitboard.applyMove(position, player, move.r, move.c),
+    isFull: position => Bitboard.countEmpty(position) === 0,
+    evaluate: evaluateBitboard,
+    finalScore: finalScoreBitboard
+};
+
+// `useBitboard: false` forces the array search on 8x8 (for benchmarking)
+function createSearchContext(board, options) {
+    const search = board.length === Bitboard.SIZE && options.useBitboard !== false ? BITBOARD_SEARCH : ARRAY_SEARCH;
+    return {
+        search,
+        size: board.length,
+        nodes: 0,
+        deadline: null,
+        rules: { antiOthello: !!options.antiOthello, noPass: !!options.noPass }
+    };
+}
+
+function orderMoves(size, moves, preferred) {
+    const last = size - 1;
+    const isCorner = m => (m.r === 0 || m.r === last) && (m.c === 0 || m.c === last);
+    return moves
+        .map(m => ({
+            move: m,
+            priority: (preferred && preferred.r === m.r && preferred.c === m.c ? 2 : 0) + (isCorner(m) ? 1 : 0)
+        }))
+        .sort((a, b) => b.priority - a.priority)
+        .map(entry => entry.move);
+}
+
+function negamax(position, player, depth, alpha, beta, passed, ctx) {
+    const { search } = ctx;
+    ctx.nodes++;
+    if (ctx.deadline && (ctx.nodes & 255) === 0 && Date.now() > ctx.deadline) {
+        throw new SearchTimeout();
+    }
+
+    if (depth === 0) return search.evaluate(position, player, ctx.rules);
+
+    const moves = search.getMoves(position, player);
+    if (moves.length === 0) {
+        if (passed || search.isFull(position)) return search.finalScore(position, player, ctx.rules);
+        if (ctx.rules.noPass) return -WIN_SCORE;
+        return -negamax(position, opponentOf(player), depth, -beta, -alpha, true, ctx);
+    }
+
+    let best = -Infinity;
+    for (const move of orderMoves(ctx.size, moves, null)) {
+        const child = search.play(position, move, player);
+        const score = -negamax(child, opponentOf(player), depth - 1, -beta, -alpha, false, ctx);
+        if (score > best) best = score;
+        if (score > alpha) alpha = score;
+        if (alpha >= beta) break;
+    }
+    return best;
+}
+
+function searchRoot(position, player, depth, moves, ctx) {
+    let bestMove = moves[0];
+    let bestScore = -Infinity;
+    let alpha = -Infinity;
+    for (const move of moves) {
+        const child = ctx.search.play(position, move, player);
+        const score = -negamax(child, opponentOf(player), depth - 1, -Infinity, -alpha, false, ctx);
+        if (score > bestScore) {
+            bestScore = score;
+            bestMove = move;
+        }
+        if (score > alpha) alpha = score;
+    }
+    return { move: bestMove, score: bestScore };
+}
+
+// Score of every legal move for `player`, searched one depth at a time up to
+// options.depth (default 4). Slower than findBestMove since each move gets a
+// full window; used by post-game analysis and hints. A depth that does not
+// finish within options.timeLimitMs is dropped, like findBestMove's
+// iterative deepening, and depth 1 always completes.
+// Result: { scores: [{ move: { r, c }, score }] best first, depth }
+function scoreMoves(board, player, options = {}) {
+    const maxDepth = options.depth || 4;
+    const ctx = createSearchContext(board, options);
+    const position = ctx.search.fromBoard(board);
+    const moves = ctx.search.getMoves(position, player);
+    const startedAt = Date.now();
+    let result = { scores: [], depth: 0 };
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        ctx.deadline = depth > 1 && options.timeLimitMs ? startedAt + options.timeLimitMs : null;
+        try {
+            const scores = moves
+                .map(move => ({
+                    move,
+                    score: -negamax(ctx.search.play(position, move, player), opponentOf(player), depth - 1, -Infinity, Infinity, false, ctx)
+                }))
+                .sort((a, b) => b.score - a.score);
+            result = { scores, depth };
+        } catch (error) {
+            if (error instanceof SearchTimeout) break;
+            throw error;
+        }
+    }
+    return result;
+}
+
+// Picks a move for `player`. Returns null when the player has no legal move.
+// Options: difficulty, maxDepth, timeLimitMs, antiOthello, noPass, and
+// bookMoves ([{ r, c }], played instead of searching when useBook is on) and
+// useBitboard (see createSearchContext).
+// Result: { move: { r, c }, score, depth, nodes, timeMs, book? }
+function findBestMove(board, player, options = {}) {
+    const settings = { ...getDifficultySettings(options.difficulty), ...options };
+    const ctx = createSearchContext(board, settings);
+    const position = ctx.search.fromBoard(board);
+    const moves = ctx.search.getMoves(position, player);
+    if (moves.length === 0) return null;
+
+    // Book moves come from lib/openings.js; any of them is a sound choice
+    const bookMoves = settings.useBook && settings.bookMoves
+        ? settings.bookMoves.filter(book => moves.some(m => m.r === book.r && m.c === book.c))
+        : [];
+    if (bookMoves.length > 0) {
+        const move = bookMoves[Math.floor(Math.random() * bookMoves.length)];
+        return { move, score: 0, depth: 0, nodes: 0, timeMs: 0, book: true };
+    }
+
+    const startedAt = Date.now();
+    if (moves.length === 1 || Math.random() < settings.randomness) {
+        const move = moves.length === 1 ? moves[0] : moves[Math.floor(Math.random() * moves.length)];
+        return { move, score: 0, depth: 0, nodes: 0, timeMs: 0 };
+    }
+
+    let result = null;
+    let completedDepth = 0;
+
+    for (let depth = 1; depth <= settings.maxDepth; depth++) {
+        // Depth 1 always completes so there is a move to fall back on
+        ctx.deadline = depth > 1 ? startedAt + settings.timeLimitMs : null;
+        try {
+            const ordered = orderMoves(ctx.size, moves, result && result.move);
+            result = searchRoot(position, player, depth, ordered, ctx);
+            completedDepth = depth;
+        } catch (error) {
+            if (error instanceof SearchTimeout) break;
+            throw error;
+        }
+        if (Math.abs(result.score) >= WIN_SCORE) break; // Outcome already decided
+    }
+
+    return {
+        move: result.move,
+        score: result.score,
+        depth: completedDepth,
+        nodes: ctx.nodes,
+        timeMs: Date.now() - startedAt
+    };
+}
+
+module.exports = {
+    AI_NAMES,
+    DIFFICULTY_SETTINGS,
+    getDifficultySettings,
+    evaluate,
+    countStableDiscs,
+    WIN_SCORE,
+    scoreMoves,
+    findBestMove
+};
@@ -0,0 +1,142 @@
+// ==================================
+// ANALYSIS.JS - Post-game analysis
+// ==================================
+// Replays a finished game and scores every move against the engine's best
+// choice, searching each position up to ANALYSIS_DEPTH for at most
+// ANALYSIS_TIME_MS so no position blocks the server for long. Scores are in
+// lib/ai.js evaluation units (a corner is worth about 250); a won or lost
+// position is capped at +/-EVAL_CAP.
+// Evaluations in the output are from black's point of view; move scores and
+// losses are from the mover's.
+
+const ai = require('./ai');
+const engine = require('./engine');
+const { squareName } = require('./notation');
+
+const ANALYSIS_DEPTH = parseInt(process.env.ANALYSIS_DEPTH, 10) || 4;
+const ANALYSIS_TIME_MS = parseInt(process.env.ANALYSIS_TIME_MS, 10) || 250; // Per position
+const EVAL_CAP = 1000;
+const INACCURACY_LOSS = 100; // Giving away about a move's worth of mobility
+const BLUNDER_LOSS = 300; // About a corner or more
+
+function capScore(score) {
+    if (Math.abs(score) >= ai.WIN_SCORE) return score > 0 ? EVAL_CAP : -EVAL_CAP;
+    return Math.max(-EVAL_CAP, Math.min(EVAL_CAP, Math.round(score)));
+}
+
+function classifyMove(loss, moveCount) {
+    if (moveCount === 1) return 'forced';
+    if (loss <= 0) return 'best';
+    if (loss < INACCURACY_LOSS) return 'good';
+    if (loss < BLUNDER_LOSS) return 'inaccuracy';
+    return 'blunder';
+}
+
+// A scoreMoves entry as { row, col, square, score } with the score capped
+function describeMove(entry) {
+    return {
+        row: entry.move.r,
+        col: entry.move.c,
+        square: squareName(entry.move.r, entry.move.c),
+        score: capScore(entry.score)
+    };
+}
+
+function getRules(variant, depth) {
+    return { depth, timeLimitMs: ANALYSIS_TIME_MS, antiOthello: variant.rule === 'anti', noPass: !!variant.noPass };
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// `moves` are { row, col } with an optional `player`; without it the side to
+// move plays, passing first when it has no legal move. Throws an Error naming
+// the first illegal move. Yields to the event loop between moves so a long
+// game does not stall the server.
+async function analyzeGame({ startBoard, moves, variant = {}, depth = ANALYSIS_DEPTH }) {
+    const rules = getRules(variant, depth);
+    const toBlack = (score, player) => (player === 1 ? score : -score);
+    const summary = {
+        1: { moves: 0, best: 0, inaccuracies: 0, blunders: 0, totalLoss: 0 },
+        2: { moves: 0, best: 0, inaccuracies: 0, blunders: 0, totalLoss: 0 }
+    };
+    const analyzed = [];
+    const evaluations = [];
+
+    let board = startBoard.map(row => row.slice());
+    let toMove = 1;
+    for (let i = 0; i < moves.length; i++) {
+        const { row, col } = moves[i];
+        let player = moves[i].player || toMove;
+        if (!moves[i].player && !engine.hasValidMove(board, player)) {
+            player = engine.opponentOf(player); // Implicit pass
+        }
+
+        const { scores: scored, depth: searchedDepth } = ai.scoreMoves(board, player, rules);
+        const played = scored.find(entry => entry.move.r === row && entry.move.c === col);
+        if (!played) {
+            throw new Error(`Nước đi thứ ${i + 1} (${squareName(row, col)}) không hợp lệ.`);
+        }
+        if (i === 0) evaluations.push(toBlack(capScore(scored[0].score), player));
+
+        const bestScore = capScore(scored[0].score);
+        const playedScore = capScore(played.score);
+        const loss = Math.max(0, bestScore - playedScore);
+        const classification = classifyMove(loss, scored.length);
+        analyzed.push({
+            ply: i + 1,
+            player,
+            row,
+            col,
+            square: squareName(row, col),
+            score: playedScore,
+            bestScore,
+            loss,
+            classification,
+            depth: searchedDepth, // Below `depth` when the position ran out of time
+            // Top alternatives, so the client can highlight the better move
+            bestMoves: scored.slice(0, 3).map(describeMove)
+        });
+        evaluations.push(toBlack(playedScore, player));
+
+        const totals = summary[player];
+        totals.moves++;
+        totals.totalLoss += loss;
+        if (classification === 'best' || classification === 'forced') totals.best++;
+        if (classification === 'inaccuracy') totals.inaccuracies++;
+        if (classification === 'blunder') totals.blunders++;
+
+        board = engine.applyMove(board, row, col, player);
+        toMove = engine.opponentOf(player);
+        await nextTick();
+    }
+
+    for (const totals of Object.values(summary)) {
+        totals.avgLoss = totals.moves > 0 ? Math.round(totals.totalLoss / totals.moves) : 0;
+        delete totals.totalLoss;
+    }
+
+    return {
+        depth,
+        evalCap: EVAL_CAP,
+        thresholds: { inaccuracy: INACCURACY_LOSS, blunder: BLUNDER_LOSS },
+        startBoard,
+        moves: analyzed,
+        evaluations,
+        summary,
+        analyzedAt: Date.now()
+    };
+}
+
+// In-game hints: the `count` best moves for `player`, best first, scored
+// from the mover's point of view like analyzeGame's bestMoves
+function suggestMoves({ board, player, variant = {}, count = 1, depth = ANALYSIS_DEPTH }) {
+    return ai.scoreMoves(board, player, getRules(variant, depth)).scores.slice(0, count).map(describeMove);
+}
+
+module.exports = {
+    ANALYSIS_DEPTH,
+    ANALYSIS_TIME_MS,
+    EVAL_CAP,
+    analyzeGame,
+    suggestMoves
+};
@@ -0,0 +1,97 @@
+// ==================================
+// AUTH.JS - Local accounts and signed session tokens
+// ==================================
+// Passwords are hashed with scrypt and a per-account salt. Session tokens are
+// `<base64url payload>.<base64url HMAC-SHA256>` and are presented in the
+// Socket.IO handshake (`auth.token`) or as `Authorization: Bearer <token>`.
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SCRYPT_KEYLEN = 64;
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.-]{3,20}$/u;
+const MIN_PASSWORD_LENGTH = 6;
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('SESSION_SECRET is not set; using a random secret. Sessions will not survive a restart.');
+}
+
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Tên đăng nhập phải dài 3-20 ký tự, chỉ gồm chữ, số và _ . -';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Mật khẩu phải có ít nhất ${MIN_PASSWORD_LENGTH} ký tự.`;
+    }
+    return null;
+}
+
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derived) => {
+            if (error) return reject(error);
+            resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, stored) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') return resolve(false);
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derived) => {
+            if (error) return reject(error);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+        });
+    });
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', sessionSecret).update(data).digest('base64url');
+}
+
+function createToken(account) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: account.id,
+        name: account.username,
+        exp: Date.now() + TOKEN_TTL_MS
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// Returns { id, username } for a valid, unexpired token, otherwise null
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data.sub || !data.exp || data.exp < Date.now()) return null;
+        return { id: data.sub, username: data.name };
+    } catch (error) {
+        return null;
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+module.exports = {
+    validateCredentials,
+    hashPassword,
+    verifyPassword,
+    createToken,
+    verifyToken,
+    getBearerToken
+};
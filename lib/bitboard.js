@@ -0,0 +1,337 @@
+// ==================================
+// BITBOARD.JS - 64-bit bitboards for 8x8 Othello
+// ==================================
+// An 8x8 position as three 64-bit masks (black, white, blocked). Square
+// (r, c) is bit r * 8 + c, so a1 is bit 0 and h8 bit 63. JavaScript has no
+// fast 64-bit integer (BigInt allocates on every operation), so each mask is
+// two 32-bit halves: `lo` holds rows 1-4 and `hi` rows 5-8. A position is the
+// flat array [blackLo, blackHi, whiteLo, whiteHi, blockedLo, blockedHi].
+//
+// Move generation shifts whole boards one step at a time in all eight
+// directions instead of walking squares, which is what makes deep AI search
+// affordable. lib/engine.js uses this for 8x8 boards and keeps the array
+// form for every other size. Served to the browser as /bitboard.js
+// (window.OthelloBitboard).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OthelloBitboard = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SIZE = 8;
+    const BLOCKED_OFFSET = 4;
+    const NOT_FILE_A = 0xfefefefe | 0; // Per half; file a is bit 0 of every row
+    const NOT_FILE_H = 0x7f7f7f7f;
+    const ALL = -1; // All 32 bits set
+
+    // Offset of a color's lo half in a position
+    function offsetOf(player) {
+        return (player - 1) * 2;
+    }
+
+    // [shift, mask] per direction, opposite directions side by side (d ^ 1).
+    // Positive shifts move towards h8; the mask drops bits that wrapped around
+    // to the other side of the board.
+    const DIRECTIONS = [
+        [1, NOT_FILE_A], // East
+        [-1, NOT_FILE_H], // West
+        [8, ALL], // South
+        [-8, ALL], // North
+        [9, NOT_FILE_A], // South-east
+        [-9, NOT_FILE_H], // North-west
+        [7, NOT_FILE_H], // South-west
+        [-7, NOT_FILE_A] // North-east
+    ];
+    const SHIFTS = DIRECTIONS.map(([shift]) => shift);
+    const MASKS = DIRECTIONS.map(([, mask]) => mask);
+
+    // One step of the 64-bit board (lo, hi) in direction d, one half at a time
+    function stepLo(lo, hi, d) {
+        const shift = SHIFTS[d];
+        if (shift > 0) return (lo << shift) & MASKS[d];
+        return ((lo >>> -shift) | (hi << (32 + shift))) & MASKS[d];
+    }
+
+    function stepHi(lo, hi, d) {
+        const shift = SHIFTS[d];
+        if (shift > 0) return ((hi << shift) | (lo >>> (32 - shift))) & MASKS[d];
+        return (hi >>> -shift) & MASKS[d];
+    }
+
+    function popcount32(x) {
+        x -= (x >>> 1) & 0x55555555;
+        x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+        return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+    }
+
+    function popcount(lo, hi) {
+        return popcount32(lo) + popcount32(hi);
+    }
+
+    function squareIndex(r, c) {
+        return r * SIZE + c;
+    }
+
+    // Whether bit `index` of the mask starting at `offset` is set
+    function hasBit(position, offset, index) {
+        return index < 32
+            ? ((position[offset] >>> index) & 1) === 1
+            : ((position[offset + 1] >>> (index - 32)) & 1) === 1;
+    }
+
+    // Appends the set bits of (lo, hi) to `squares` as { r, c }, in row order
+    // like the array scan
+    function pushSquares(squares, lo, hi) {
+        for (let half = 0; half < 2; half++) {
+            let bits = half === 0 ? lo : hi;
+            while (bits !== 0) {
+                const low = bits & -bits;
+                const index = 31 - Math.clz32(low) + half * 32;
+                squares.push({ r: index >> 3, c: index & 7 });
+                bits ^= low;
+            }
+        }
+        return squares;
+    }
+
+    function hasDisc(position, player, r, c) {
+        return hasBit(position, offsetOf(player), squareIndex(r, c));
+    }
+
+    function fromArray(board) {
+        const position = [0, 0, 0, 0, 0, 0];
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                const cell = board[r][c];
+                if (cell === 0) continue;
+                const offset = cell === 3 ? BLOCKED_OFFSET : offsetOf(cell);
+                const index = squareIndex(r, c);
+                if (index < 32) position[offset] |= 1 << index;
+                else position[offset + 1] |= 1 << (index - 32);
+            }
+        }
+        return position;
+    }
+
+    function toArray(position) {
+        return Array.from({ length: SIZE }, (_, r) => Array.from({ length: SIZE }, (_, c) => {
+            const index = squareIndex(r, c);
+            if (hasBit(position, 0, index)) return 1;
+            if (hasBit(position, 2, index)) return 2;
+            return hasBit(position, BLOCKED_OFFSET, index) ? 3 : 0;
+        }));
+    }
+
+    function countDiscs(position, player) {
+        const offset = offsetOf(player);
+        return popcount(position[offset], position[offset + 1]);
+    }
+
+    function countBlocked(position) {
+        return popcount(position[BLOCKED_OFFSET], position[BLOCKED_OFFSET + 1]);
+    }
+
+    function countEmpty(position) {
+        return popcount(
+            ~(position[0] | position[2] | position[4]),
+            ~(position[1] | position[3] | position[5])
+        );
+    }
+
+    // Legal moves of `player`, left in movesLo/movesHi: empty squares at the
+    // end of a run of opponent discs that starts next to one of ours. A line
+    // holds at most six opponent discs between the two ends.
+    let movesLo = 0;
+    let movesHi = 0;
+    function generateMoves(position, player) {
+        const own = offsetOf(player);
+        const opp = offsetOf(player === 1 ? 2 : 1);
+        const ownLo = position[own];
+        const ownHi = position[own + 1];
+        const oppLo = position[opp];
+        const oppHi = position[opp + 1];
+        const emptyLo = ~(ownLo | oppLo | position[4]);
+        const emptyHi = ~(ownHi | oppHi | position[5]);
+        movesLo = 0;
+        movesHi = 0;
+        for (let d = 0; d < 8; d++) {
+            let runLo = stepLo(ownLo, ownHi, d) & oppLo;
+            let runHi = stepHi(ownLo, ownHi, d) & oppHi;
+            for (let i = 0; i < 5; i++) {
+                const nextLo = stepLo(runLo, runHi, d) & oppLo;
+                const nextHi = stepHi(runLo, runHi, d) & oppHi;
+                runLo |= nextLo;
+                runHi |= nextHi;
+            }
+            movesLo |= stepLo(runLo, runHi, d) & emptyLo;
+            movesHi |= stepHi(runLo, runHi, d) & emptyHi;
+        }
+    }
+
+    // [{ r, c }] in row order
+    function getMoves(position, player) {
+        generateMoves(position, player);
+        return pushSquares([], movesLo, movesHi);
+    }
+
+    function countMoves(position, player) {
+        generateMoves(position, player);
+        return popcount(movesLo, movesHi);
+    }
+
+    function hasMoves(position, player) {
+        generateMoves(position, player);
+        return (movesLo | movesHi) !== 0;
+    }
+
+    // Discs flipped by `player` playing square `index`, left in
+    // flipsLo/flipsHi; both 0 if the move flips nothing
+    let flipsLo = 0;
+    let flipsHi = 0;
+    function generateFlips(position, player, index) {
+        const own = offsetOf(player);
+        const opp = offsetOf(player === 1 ? 2 : 1);
+        const moveLo = index < 32 ? 1 << index : 0;
+        const moveHi = index < 32 ? 0 : 1 << (index - 32);
+        flipsLo = 0;
+        flipsHi = 0;
+        for (let d = 0; d < 8; d++) {
+            let runLo = 0;
+            let runHi = 0;
+            let cursorLo = stepLo(moveLo, moveHi, d);
+            let cursorHi = stepHi(moveLo, moveHi, d);
+            while ((cursorLo & position[opp]) | (cursorHi & position[opp + 1])) {
+                runLo |= cursorLo;
+                runHi |= cursorHi;
+                const nextLo = stepLo(cursorLo, cursorHi, d);
+                cursorHi = stepHi(cursorLo, cursorHi, d);
+                cursorLo = nextLo;
+            }
+            if ((cursorLo & position[own]) | (cursorHi & position[own + 1])) {
+                flipsLo |= runLo;
+                flipsHi |= runHi;
+            }
+        }
+    }
+
+    // [{ r, c }] of the discs playing (r, c) would flip
+    function getFlips(position, player, r, c) {
+        generateFlips(position, player, squareIndex(r, c));
+        return pushSquares([], flipsLo, flipsHi);
+    }
+
+    // A new position with `player` (1 or 2) playing (r, c)
+    function applyMove(position, player, r, c) {
+        const index = squareIndex(r, c);
+        generateFlips(position, player, index);
+        const own = offsetOf(player);
+        const opp = offsetOf(player === 1 ? 2 : 1);
+        const next = position.slice();
+        next[own] |= flipsLo | (index < 32 ? 1 << index : 0);
+        next[own + 1] |= flipsHi | (index < 32 ? 0 : 1 << (index - 32));
+        next[opp] &= ~flipsLo;
+        next[opp + 1] &= ~flipsHi;
+        return next;
+    }
+
+    // Every line on the board per axis, in DIRECTIONS order (rows, columns,
+    // then the two diagonals), as [lo, hi]
+    const AXIS_LINES = [[0, 1], [1, 0], [1, 1], [1, -1]].map(([dr, dc]) => {
+        const lines = [];
+        for (let r = 0; r < SIZE; r++) {
+            for (let c = 0; c < SIZE; c++) {
+                // Only start from squares with no predecessor on the axis
+                const pr = r - dr;
+                const pc = c - dc;
+                if (pr >= 0 && pr < SIZE && pc >= 0 && pc < SIZE) continue;
+                const line = [0, 0];
+                for (let nr = r, nc = c; nr >= 0 && nr < SIZE && nc >= 0 && nc < SIZE; nr += dr, nc += dc) {
+                    const index = squareIndex(nr, nc);
+                    if (index < 32) line[0] |= 1 << index;
+                    else line[1] |= 1 << (index - 32);
+                }
+                lines.push(line);
+            }
+        }
+        return lines;
+    });
+
+    // Squares whose neighbour in each direction is off the board, as [lo, hi]
+    const EDGES = DIRECTIONS.map((direction, d) => [
+        ~stepLo(ALL, ALL, d ^ 1),
+        ~stepHi(ALL, ALL, d ^ 1)
+    ]);
+
+    // Discs that can never be flipped, as { 1: count, 2: count }. Same rule as
+    // the AI's array version: along every axis the line is full, or one
+    // neighbour is the edge, a blocked square or a stable disc of the same
+    // color. Grows from nothing until no new disc qualifies.
+    function countStableDiscs(position) {
+        const emptyLo = ~(position[0] | position[2] | position[4]);
+        const emptyHi = ~(position[1] | position[3] | position[5]);
+        const fullLo = [0, 0, 0, 0];
+        const fullHi = [0, 0, 0, 0];
+        for (let axis = 0; axis < 4; axis++) {
+            for (const [lineLo, lineHi] of AXIS_LINES[axis]) {
+                if ((lineLo & emptyLo) === 0 && (lineHi & emptyHi) === 0) {
+                    fullLo[axis] |= lineLo;
+                    fullHi[axis] |= lineHi;
+                }
+            }
+        }
+
+        let stableLo = 0;
+        let stableHi = 0;
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let offset = 0; offset < 4; offset += 2) {
+                const anchorLo = position[4] | (stableLo & position[offset]);
+                const anchorHi = position[5] | (stableHi & position[offset + 1]);
+                let candidatesLo = position[offset] & ~stableLo;
+                let candidatesHi = position[offset + 1] & ~stableHi;
+                // Axis a is made of directions 2a and 2a + 1. A square is
+                // anchored in direction d when its neighbour there is an
+                // anchor or the edge.
+                for (let axis = 0; axis < 4; axis++) {
+                    let okLo = fullLo[axis];
+                    let okHi = fullHi[axis];
+                    for (let d = 2 * axis; d < 2 * axis + 2; d++) {
+                        okLo |= EDGES[d][0] | stepLo(anchorLo, anchorHi, d ^ 1);
+                        okHi |= EDGES[d][1] | stepHi(anchorLo, anchorHi, d ^ 1);
+                    }
+                    candidatesLo &= okLo;
+                    candidatesHi &= okHi;
+                }
+                if ((candidatesLo | candidatesHi) !== 0) {
+                    stableLo |= candidatesLo;
+                    stableHi |= candidatesHi;
+                    changed = true;
+                }
+            }
+        }
+        return {
+            1: popcount(stableLo & position[0], stableHi & position[1]),
+            2: popcount(stableLo & position[2], stableHi & position[3])
+        };
+    }
+
+    return {
+        SIZE,
+        squareIndex,
+        hasDisc,
+        fromArray,
+        toArray,
+        countDiscs,
+        countBlocked,
+        countEmpty,
+        getMoves,
+        countMoves,
+        hasMoves,
+        getFlips,
+        applyMove,
+        countStableDiscs
+    };
+});
@@ -0,0 +1,178 @@
+// ==================================
+// CLOCK.JS - Time controls and game clocks
+// ==================================
+// A time control is written "<minutes>+<increment seconds>" ("5+0", "10+5"
+// Fischer) or "<seconds>s" for a fixed per-move limit ("30s"). Both can be
+// combined as "5+0/30s". Clocks are kept in milliseconds on the server and the
+// side to move loses when either its main time or its per-move time runs out.
+
+const TIME_CONTROL_PRESETS = ['1+0', '3+2', '5+0', '10+5', '15+10', '30s', '60s'];
+
+const MAX_MINUTES = 180;
+const MAX_INCREMENT_SECONDS = 60;
+const MIN_PER_MOVE_SECONDS = 5;
+const MAX_PER_MOVE_SECONDS = 600;
+
+// Returns { initialMs, incrementMs, perMoveMs } (null fields mean "no limit")
+// or null for an untimed game. Throws an Error with a user-facing message
+// when the value cannot be understood.
+function parseTimeControl(value) {
+    if (value === undefined || value === null || value === '' || value === 'none') return null;
+
+    let minutes = null;
+    let increment = 0;
+    let perMove = null;
+
+    if (typeof value === 'object') {
+        minutes = value.minutes ?? null;
+        increment = value.increment ?? 0;
+        perMove = value.perMove ?? null;
+    } else {
+        const match = /^(?:(\d+(?:\.\d+)?)\+(\d+))?(?:\/?(\d+)s)?$/.exec(String(value).trim());
+        if (!match || (match[1] === undefined && match[3] === undefined)) {
+            throw new Error(`Kiểu thời gian không hợp lệ: "${value}"`);
+        }
+        if (match[1] !== undefined) {
+            minutes = parseFloat(match[1]);
+            increment = parseInt(match[2], 10);
+        }
+        if (match[3] !== undefined) perMove = parseInt(match[3], 10);
+    }
+
+    if (minutes !== null && !(minutes > 0 && minutes <= MAX_MINUTES)) {
+        throw new Error(`Thời gian mỗi bên phải từ 0 đến ${MAX_MINUTES} phút.`);
+    }
+    if (!(Number.isInteger(increment) && increment >= 0 && increment <= MAX_INCREMENT_SECONDS)) {
+        throw new Error(`Thời gian cộng thêm phải từ 0 đến ${MAX_INCREMENT_SECONDS} giây.`);
+    }
+    if (perMove !== null && !(Number.isInteger(perMove) && perMove >= MIN_PER_MOVE_SECONDS && perMove <= MAX_PER_MOVE_SECONDS)) {
+        throw new Error(`Giới hạn mỗi nước phải từ ${MIN_PER_MOVE_SECONDS} đến ${MAX_PER_MOVE_SECONDS} giây.`);
+    }
+    if (minutes === null && perMove === null) {
+        throw new Error('Cần có thời gian mỗi bên hoặc giới hạn mỗi nước.');
+    }
+
+    return {
+        initialMs: minutes === null ? null : Math.round(minutes * 60 * 1000),
+        incrementMs: minutes === null ? 0 : increment * 1000,
+        perMoveMs: perMove === null ? null : perMove * 1000
+    };
+}
+
+// Short label such as "10+5", "30s" or "5+0/30s"
+function formatTimeControl(timeControl) {
+    if (!timeControl) return null;
+    const parts = [];
+    if (timeControl.initialMs !== null) {
+        parts.push(`${timeControl.initialMs / 60000}+${timeControl.incrementMs / 1000}`);
+    }
+    if (timeControl.perMoveMs !== null) {
+        parts.push(`${timeControl.perMoveMs / 1000}s`);
+    }
+    return parts.join('/');
+}
+
+class GameClock {
+    constructor(timeControl) {
+        this.timeControl = timeControl;
+        this.remaining = { 1: timeControl.initialMs, 2: timeControl.initialMs }; // null without main time
+        this.activeColor = null;
+        this.turnStartedAt = null;
+    }
+
+    isRunning() {
+        return this.activeColor !== null;
+    }
+
+    // Starts `color`'s turn. Any running turn should be pressed or stopped first.
+    start(color, now = Date.now()) {
+        this.activeColor = color;
+        this.turnStartedAt = now;
+    }
+
+    // Ends the running turn after a move: charges the elapsed time and adds the increment
+    press(now = Date.now()) {
+        const color = this.activeColor;
+        if (color === null) return;
+        this.charge(color, now);
+        if (this.remaining[color] !== null) {
+            this.remaining[color] += this.timeControl.incrementMs;
+        }
+    }
+
+    // Ends the running turn without an increment (game over, takeback)
+    stop(now = Date.now()) {
+        if (this.activeColor === null) return;
+        this.charge(this.activeColor, now);
+    }
+
+    charge(color, now) {
+        if (this.remaining[color] !== null) {
+            this.remaining[color] = Math.max(0, this.remaining[color] - (now - this.turnStartedAt));
+        }
+        this.activeColor = null;
+        this.turnStartedAt = null;
+    }
+
+    // Milliseconds `color` has left before flagging, counting the running turn.
+    // Infinity when nothing limits that player.
+    timeLeft(color, now = Date.now()) {
+        const running = color === this.activeColor;
+        const elapsed = running ? now - this.turnStartedAt : 0;
+        let left = Infinity;
+        if (this.remaining[color] !== null) {
+            left = this.remaining[color] - elapsed;
+        }
+        if (this.timeControl.perMoveMs !== null) {
+            left = Math.min(left, this.timeControl.perMoveMs - elapsed);
+        }
+        return Math.max(0, left);
+    }
+
+    // Color whose time has run out, or null
+    getFlaggedColor(now = Date.now()) {
+        if (this.activeColor === null) return null;
+        return this.timeLeft(this.activeColor, now) <= 0 ? this.activeColor : null;
+    }
+
+    // Clock snapshot for clients, taken at `now`. `remaining` already has the
+    // running turn deducted, so clients only count down from when it arrives.
+    getState(now = Date.now()) {
+        const remaining = {};
+        for (const color of [1, 2]) {
+            remaining[color] = this.remaining[color] === null
+                ? null
+                : Math.max(0, this.remaining[color] - (color === this.activeColor ? now - this.turnStartedAt : 0));
+        }
+        return {
+            timeControl: formatTimeControl(this.timeControl),
+            remaining,
+            activeColor: this.activeColor,
+            moveRemaining: this.timeControl.perMoveMs === null ? null
+                : Math.max(0, this.timeControl.perMoveMs - (this.activeColor === null ? 0 : now - this.turnStartedAt)),
+            incrementMs: this.timeControl.incrementMs,
+            perMoveMs: this.timeControl.perMoveMs
+        };
+    }
+
+    // Remaining main time with the running turn charged up to `now`, for
+    // saving to storage
+    serialize(now = Date.now()) {
+        return { remaining: this.getState(now).remaining, activeColor: this.activeColor };
+    }
+
+    // Rebuilds a saved clock. It comes back stopped; the caller starts it again
+    // once play can resume, and the interrupted turn gets a fresh per-move limit.
+    static restore(timeControl, saved) {
+        const clock = new GameClock(timeControl);
+        clock.remaining = { 1: saved.remaining[1], 2: saved.remaining[2] };
+        return clock;
+    }
+}
+
+module.exports = {
+    TIME_CONTROL_PRESETS,
+    parseTimeControl,
+    formatTimeControl,
+    GameClock
+};
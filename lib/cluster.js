@@ -0,0 +1,122 @@
+// ==================================
+// CLUSTER.JS - Running several server instances
+// ==================================
+// SOCKET_ADAPTER picks how instances share Socket.IO broadcasts:
+//   redis  Redis pub/sub (@socket.io/redis-adapter), for real deployments
+//   ipc    node:cluster workers relayed through the primary process; a local
+//          stand-in started with `npm run start:cluster`
+// Unset means a single instance with the default in-memory adapter.
+
+const crypto = require('crypto');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { requireDriver } = require('./storage');
+
+const NODE_ID = process.env.NODE_ID || crypto.randomUUID().slice(0, 8);
+const ADAPTERS = ['redis', 'ipc'];
+const IPC_MESSAGE_SOURCE = 'othello:ipc-adapter';
+
+// Worker side of the ipc stand-in. Messages go to the primary, which hands
+// them to every other worker (see relayIpcMessages).
+class IpcAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, options = {}) {
+        super(nsp, options);
+        process.on('message', message => {
+            if (message?.source !== IPC_MESSAGE_SOURCE || message.nsp !== this.nsp.name) return;
+            if (message.requesterUid) {
+                if (message.requesterUid === this.uid) this.onResponse(message);
+            } else {
+                this.onMessage(message);
+            }
+        });
+        this.init();
+    }
+
+    doPublish(message) {
+        process.send({ ...message, source: IPC_MESSAGE_SOURCE });
+        return Promise.resolve(''); // No offsets, so no connection state recovery
+    }
+
+    doPublishResponse(requesterUid, response) {
+        process.send({ ...response, source: IPC_MESSAGE_SOURCE, requesterUid });
+        return Promise.resolve();
+    }
+}
+
+// Primary side of the ipc stand-in
+function relayIpcMessages(cluster) {
+    cluster.on('message', (sender, message) => {
+        if (message?.source !== IPC_MESSAGE_SOURCE) return;
+        for (const worker of Object.values(cluster.workers)) {
+            if (worker !== sender && worker.isConnected()) worker.send(message);
+        }
+    });
+}
+
+// Returns { name, adapter } for io.adapter(), or null for a single instance
+async function createSocketAdapter(env = process.env) {
+    const name = (env.SOCKET_ADAPTER || '').toLowerCase();
+    if (!name) return null;
+
+    if (name === 'redis') {
+        const { createAdapter } = requireDriver('@socket.io/redis-adapter', 'SOCKET_ADAPTER=redis');
+        const { createClient } = requireDriver('redis', 'SOCKET_ADAPTER=redis');
+        const pubClient = createClient({ url: env.REDIS_URL || 'redis://localhost:6379' });
+        const subClient = pubClient.duplicate();
+        pubClient.on('error', error => console.error('Redis adapter error:', error.message));
+        subClient.on('error', error => console.error('Redis adapter error:', error.message));
+        await Promise.all([pubClient.connect(), subClient.connect()]);
+        return { name, adapter: createAdapter(pubClient, subClient) };
+    }
+    if (name === 'ipc') {
+        if (!process.send) throw new Error('SOCKET_ADAPTER=ipc only works in workers started by cluster.js.');
+        return { name, adapter: IpcAdapter };
+    }
+    throw new Error(`Unknown SOCKET_ADAPTER "${name}" (expected one of: ${ADAPTERS.join(', ')})`);
+}
+
+// Stands in for a client connected to another node, so the normal socket
+// handlers can serve events that node forwards here. Emits and room changes
+// go through the adapter to wherever the real socket lives.
+class RemoteSocket {
+    constructor(io, id, account) {
+        this.io = io;
+        this.id = id;
+        this.data = { account };
+        this.handlers = new Map();
+    }
+
+    use() {} // Rate limiting and validation already ran on the socket's own node
+
+    on(event, handler) {
+        this.handlers.set(event, handler);
+    }
+
+    emit(event, ...args) {
+        this.io.to(this.id).emit(event, ...args);
+    }
+
+    to(room) {
+        return this.io.to(room).except(this.id);
+    }
+
+    join(room) {
+        this.io.in(this.id).socketsJoin(room);
+    }
+
+    leave(room) {
+        this.io.in(this.id).socketsLeave(room);
+    }
+
+    dispatch(event, payload) {
+        const handler = this.handlers.get(event);
+        return handler ? handler(payload) : undefined;
+    }
+}
+
+module.exports = {
+    NODE_ID,
+    ADAPTERS,
+    createSocketAdapter,
+    relayIpcMessages,
+    RemoteSocket
+};
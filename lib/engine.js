@@ -0,0 +1,177 @@
+// ==================================
+// ENGINE.JS - Othello rules
+// ==================================
+// The single implementation of the rules, used by GameRoom, the AI, post-game
+// analysis and the browser client (served as /engine.js, which defines
+// window.OthelloEngine), so offline, AI and online games always agree on what
+// is legal.
+//
+// Boards are square arrays of rows holding 0 empty, 1 black, 2 white or
+// 3 blocked; moves are { r, c }. Blocked squares are neither empty nor a
+// color, so they can't be played on and stop every line that reaches them.
+// Functions never modify the board they are given. On 8x8 boards they are an
+// adapter over lib/bitboard.js (load /bitboard.js first in the browser);
+// other sizes are scanned square by square.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bitboard'));
+    } else {
+        root.OthelloEngine = factory(root.OthelloBitboard);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Bitboard) {
+    const EMPTY = 0;
+    const BLACK = 1;
+    const WHITE = 2;
+    const BLOCKED = 3;
+
+    const DIRECTIONS = [
+        [-1, -1], [-1, 0], [-1, 1],
+        [0, -1],           [0, 1],
+        [1, -1],  [1, 0],  [1, 1]
+    ];
+
+    function opponentOf(player) {
+        return player === BLACK ? WHITE : BLACK;
+    }
+
+    function isOnBoard(board, r, c) {
+        return r >= 0 && r < board.length && c >= 0 && c < board.length;
+    }
+
+    // Standard diagonal start: white on d4/e5, black on e4/d5 (8x8)
+    function createStartBoard(size = 8) {
+        const board = Array.from({ length: size }, () => Array(size).fill(EMPTY));
+        const mid = size / 2;
+        board[mid - 1][mid - 1] = WHITE;
+        board[mid - 1][mid] = BLACK;
+        board[mid][mid - 1] = BLACK;
+        board[mid][mid] = WHITE;
+        return board;
+    }
+
+    function usesBitboard(board) {
+        return board.length === Bitboard.SIZE;
+    }
+
+    // The discs playing (r, c) would flip as [[r, c]]; empty if the move is illegal
+    function getFlips(board, r, c, player) {
+        if (!isOnBoard(board, r, c) || board[r][c] !== EMPTY) return [];
+        if (usesBitboard(board)) {
+            return Bitboard.getFlips(Bitboard.fromArray(board), player, r, c).map(square => [square.r, square.c]);
+        }
+        const opponent = opponentOf(player);
+        const flips = [];
+        for (const [dr, dc] of DIRECTIONS) {
+            let nr = r + dr;
+            let nc = c + dc;
+            const path = [];
+            while (isOnBoard(board, nr, nc) && board[nr][nc] === opponent) {
+                path.push([nr, nc]);
+                nr += dr;
+                nc += dc;
+            }
+            if (path.length > 0 && isOnBoard(board, nr, nc) && board[nr][nc] === player) {
+                flips.push(...path);
+            }
+        }
+        return flips;
+    }
+
+    function isValidMove(board, r, c, player) {
+        return getFlips(board, r, c, player).length > 0;
+    }
+
+    function getValidMoves(board, player) {
+        if (usesBitboard(board)) return Bitboard.getMoves(Bitboard.fromArray(board), player);
+        const moves = [];
+        for (let r = 0; r < board.length; r++) {
+            for (let c = 0; c < board.length; c++) {
+                if (board[r][c] === EMPTY && isValidMove(board, r, c, player)) moves.push({ r, c });
+            }
+        }
+        return moves;
+    }
+
+    function hasValidMove(board, player) {
+        if (usesBitboard(board)) return Bitboard.hasMoves(Bitboard.fromArray(board), player);
+        for (let r = 0; r < board.length; r++) {
+            for (let c = 0; c < board.length; c++) {
+                if (board[r][c] === EMPTY && isValidMove(board, r, c, player)) return true;
+            }
+        }
+        return false;
+    }
+
+    // A new board with the move played; the caller checks legality first
+    function applyMove(board, r, c, player) {
+        if (usesBitboard(board)) {
+            return Bitboard.toArray(Bitboard.applyMove(Bitboard.fromArray(board), player, r, c));
+        }
+        const next = board.map(row => row.slice());
+        next[r][c] = player;
+        for (const [fr, fc] of getFlips(board, r, c, player)) {
+            next[fr][fc] = player;
+        }
+        return next;
+    }
+
+    // Square counts by value: { 0, 1, 2, 3 }
+    function countDiscs(board) {
+        const counts = { [EMPTY]: 0, [BLACK]: 0, [WHITE]: 0, [BLOCKED]: 0 };
+        for (const row of board) {
+            for (const cell of row) counts[cell]++;
+        }
+        return counts;
+    }
+
+    // Disc totals per color, as GameRoom keeps them: { 1: black, 2: white }
+    function getScores(board) {
+        const counts = countDiscs(board);
+        return { [BLACK]: counts[BLACK], [WHITE]: counts[WHITE] };
+    }
+
+    function isBoardFull(board) {
+        return board.every(row => row.every(cell => cell !== EMPTY));
+    }
+
+    // Who moves after `player` has moved: { player, passed, gameOver }.
+    // Normally a player without a move passes; with rules.noPass the turn goes
+    // to them anyway and the game is over, since being stuck loses. When
+    // neither side can move the turn stays with `player`.
+    function getTurnAfterMove(board, player, rules = {}) {
+        const opponent = opponentOf(player);
+        if (hasValidMove(board, opponent)) return { player: opponent, passed: false, gameOver: false };
+        if (rules.noPass) return { player: opponent, passed: false, gameOver: true };
+        if (hasValidMove(board, player)) return { player, passed: true, gameOver: false };
+        return { player, passed: false, gameOver: true };
+    }
+
+    // True when the game is over with `toMove` to play
+    function isGameOver(board, toMove, rules = {}) {
+        if (isBoardFull(board)) return true;
+        if (hasValidMove(board, toMove)) return false;
+        return !!rules.noPass || !hasValidMove(board, opponentOf(toMove));
+    }
+
+    return {
+        EMPTY,
+        BLACK,
+        WHITE,
+        BLOCKED,
+        DIRECTIONS,
+        opponentOf,
+        isOnBoard,
+        createStartBoard,
+        getFlips,
+        isValidMove,
+        getValidMoves,
+        hasValidMove,
+        applyMove,
+        countDiscs,
+        getScores,
+        isBoardFull,
+        getTurnAfterMove,
+        isGameOver
+    };
+});
@@ -0,0 +1,96 @@
+// ==================================
+// MATCHMAKING.JS - Quick-play queue
+// ==================================
+// Players wait in a queue with optional preferences and are paired by rating.
+// Each player accepts opponents within a rating window that starts narrow and
+// widens the longer they wait; two players match when each is inside the
+// other's window and their preferences agree.
+
+const DEFAULT_OPTIONS = {
+    baseRange: 100, // Rating points accepted right away
+    widenPerSecond: 10, // Extra points accepted per second of waiting
+    maxRange: 1000
+};
+
+class MatchmakingQueue {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.entries = new Map(); // socketId -> entry
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // entry: { socketId, accountId, name, pieceShape, rating, timeControl, rated }
+    // `timeControl` is a parsed time control, or null for "any".
+    add(entry, now = Date.now()) {
+        this.entries.set(entry.socketId, { ...entry, joinedAt: now });
+    }
+
+    remove(socketId) {
+        const entry = this.entries.get(socketId) || null;
+        this.entries.delete(socketId);
+        return entry;
+    }
+
+    has(socketId) {
+        return this.entries.has(socketId);
+    }
+
+    hasAccount(accountId) {
+        return Array.from(this.entries.values()).some(e => e.accountId === accountId);
+    }
+
+    getRange(entry, now = Date.now()) {
+        const waitedSeconds = (now - entry.joinedAt) / 1000;
+        return Math.min(this.options.maxRange, this.options.baseRange + waitedSeconds * this.options.widenPerSecond);
+    }
+
+    // Removes and returns every pair that can be matched right now as
+    // [{ players: [a, b], timeControl, rated }]. Longest waiters pick first
+    // and take the closest-rated compatible opponent.
+    findMatches(now = Date.now()) {
+        const waiting = Array.from(this.entries.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+        const paired = new Set();
+        const matches = [];
+
+        for (const entry of waiting) {
+            if (paired.has(entry.socketId)) continue;
+            let best = null;
+            for (const candidate of waiting) {
+                if (candidate === entry || paired.has(candidate.socketId) || !this.isCompatible(entry, candidate, now)) continue;
+                if (!best || Math.abs(candidate.rating - entry.rating) < Math.abs(best.rating - entry.rating)) {
+                    best = candidate;
+                }
+            }
+            if (best) {
+                paired.add(entry.socketId);
+                paired.add(best.socketId);
+                matches.push({
+                    players: [entry, best],
+                    timeControl: entry.timeControl || best.timeControl,
+                    rated: entry.rated
+                });
+            }
+        }
+
+        for (const socketId of paired) this.entries.delete(socketId);
+        return matches;
+    }
+
+    isCompatible(a, b, now) {
+        if (a.accountId === b.accountId || a.rated !== b.rated) return false;
+        if (a.timeControl && b.timeControl && !sameTimeControl(a.timeControl, b.timeControl)) return false;
+        const gap = Math.abs(a.rating - b.rating);
+        return gap <= this.getRange(a, now) && gap <= this.getRange(b, now);
+    }
+}
+
+function sameTimeControl(a, b) {
+    return a.initialMs === b.initialMs && a.incrementMs === b.incrementMs && a.perMoveMs === b.perMoveMs;
+}
+
+module.exports = {
+    MatchmakingQueue
+};
@@ -0,0 +1,228 @@
+// ==================================
+// NOTATION.JS - Othello game notation (transcripts and GGF)
+// ==================================
+// Squares use the usual Othello naming: column letter a.. from the left,
+// row number 1.. from the top, so board[r][c] is `${'a' + c}${r + 1}`.
+// Colors follow GameRoom: 1 = black, 2 = white.
+
+const engine = require('./engine');
+
+const PASS = 'PA';
+
+function squareName(r, c) {
+    return `${String.fromCharCode(97 + c)}${r + 1}`;
+}
+
+// Parses a square like "f5" / "F5". Returns { r, c } or null.
+function parseSquare(text, size = 8) {
+    const match = /^([a-z])(\d{1,2})$/i.exec(text.trim());
+    if (!match) return null;
+    const c = match[1].toLowerCase().charCodeAt(0) - 97;
+    const r = parseInt(match[2], 10) - 1;
+    if (r < 0 || r >= size || c < 0 || c >= size) return null;
+    return { r, c };
+}
+
+// Compact transcript such as "f5d6c3d3c4". Passes are implicit, as usual.
+function toTranscript(moveHistory) {
+    return moveHistory.map(m => squareName(m.row, m.col)).join('');
+}
+
+// Returns [{ r, c }] or throws an Error naming the first unreadable token.
+// Whitespace, commas and explicit passes ("pa", "--") are tolerated.
+function parseTranscript(text, size = 8) {
+    const compact = String(text || '').replace(/[\s,;]+/g, '');
+    if (!compact) throw new Error('Transcript trống.');
+
+    const moves = [];
+    const tokenPattern = /([a-z]\d{1,2})|(pa|--)/giy;
+    let match;
+    while (tokenPattern.lastIndex < compact.length) {
+        const position = tokenPattern.lastIndex;
+        match = tokenPattern.exec(compact);
+        if (!match) {
+            throw new Error(`Ký hiệu không hợp lệ tại vị trí ${position + 1}: "${compact.slice(position, position + 3)}"`);
+        }
+        if (match[2]) {
+            moves.push({ pass: true });
+            continue;
+        }
+        const square = parseSquare(match[1], size);
+        if (!square) throw new Error(`Ô không hợp lệ: "${match[1]}"`);
+        moves.push(square);
+    }
+    return moves;
+}
+
+function formatGGFDate(timestamp) {
+    const d = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}_` +
+        `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}.GMT`;
+}
+
+// GGF board cells: '*' black, 'O' white, '-' empty. Plain GGF has no
+// blocked squares, so the blocked-squares variant writes them as '#'.
+const GGF_CELLS = { 0: '-', 1: '*', 2: 'O', 3: '#' };
+
+function boardToGGF(board, toMove) {
+    const cells = board.map(row => row.map(cell => GGF_CELLS[cell]).join('')).join('');
+    return `${board.length} ${cells} ${toMove === 2 ? 'O' : '*'}`;
+}
+
+// Builds a Generic Game Format record:
+// (;GM[Othello]PC[..]DT[..]PB[..]PW[..]TY[8]RE[+4.000]BO[8 ... *]B[f5]W[d6]...;)
+function toGGF({ moveHistory, initialBoard, blackName, whiteName, scores, gameOver, startedAt, place = 'huongcute' }) {
+    const props = [
+        'GM[Othello]',
+        `PC[${place}]`,
+        `DT[${formatGGFDate(startedAt || Date.now())}]`,
+        `PB[${escapeGGF(blackName || 'Black')}]`,
+        `PW[${escapeGGF(whiteName || 'White')}]`,
+        `TY[${initialBoard.length}]`
+    ];
+    if (gameOver && scores) {
+        props.push(`RE[${formatResult(scores[1] - scores[2])}]`);
+    }
+    props.push(`BO[${boardToGGF(initialBoard, 1)}]`);
+
+    const moves = [];
+    for (const m of moveHistory) {
+        moves.push(`${m.player === 1 ? 'B' : 'W'}[${squareName(m.row, m.col)}]`);
+        if (m.opponentPassed) {
+            moves.push(`${m.player === 1 ? 'W' : 'B'}[${PASS}]`);
+        }
+    }
+    return `(;${props.join('')}${moves.join('')};)`;
+}
+
+function formatResult(diff) {
+    return `${diff > 0 ? '+' : ''}${diff.toFixed(3)}`;
+}
+
+function escapeGGF(value) {
+    return String(value).replace(/[\[\]\\]/g, '');
+}
+
+// Parses the first game of a GGF file. Returns
+// { moves: [{ color, r, c } | { color, pass: true }], size, board, toMove }.
+// `board`/`toMove` are null when the record has no BO[] property.
+function parseGGF(text) {
+    const source = String(text || '');
+    const start = source.indexOf('(;');
+    if (start === -1) throw new Error('Không tìm thấy ván cờ GGF.');
+    const end = source.indexOf(';)', start + 2);
+    const body = source.slice(start + 2, end === -1 ? undefined : end);
+
+    let size = 8;
+    let board = null;
+    let toMove = null;
+    const moves = [];
+    const propPattern = /([A-Z]+)\[([^\]]*)\]/g;
+    let match;
+
+    while ((match = propPattern.exec(body)) !== null) {
+        const [, key, value] = match;
+        if (key === 'TY') {
+            const parsed = parseInt(value, 10);
+            if (parsed) size = parsed;
+        } else if (key === 'BO') {
+            ({ board, toMove } = parseGGFBoard(value));
+            size = board.length;
+        } else if (key === 'B' || key === 'W') {
+            const color = key === 'B' ? 1 : 2;
+            const squareText = value.split('/')[0].trim();
+            if (squareText.toUpperCase() === PASS) {
+                moves.push({ color, pass: true });
+                continue;
+            }
+            const square = parseSquare(squareText, size);
+            if (!square) throw new Error(`Ô không hợp lệ trong GGF: "${squareText}"`);
+            moves.push({ color, ...square });
+        }
+    }
+    return { moves, size, board, toMove };
+}
+
+function parseGGFBoard(value) {
+    const [sizeText, ...rest] = value.trim().split(/\s+/);
+    const size = parseInt(sizeText, 10);
+    const cells = rest.join('');
+    if (!size || cells.length < size * size) throw new Error('BO[] không hợp lệ.');
+
+    const board = [];
+    for (let r = 0; r < size; r++) {
+        const row = [];
+        for (let c = 0; c < size; c++) {
+            const ch = cells[r * size + c];
+            row.push(ch === '*' ? 1 : ch === 'O' ? 2 : ch === '#' ? 3 : 0);
+        }
+        board.push(row);
+    }
+    const toMove = cells[size * size] === 'O' ? 2 : 1;
+    return { board, toMove };
+}
+
+// Checks parsed moves ({ r, c } or { pass: true }, with an optional GGF
+// `color`) against the rules, starting from `board` with `player` to move.
+// Passes may be implicit or written out. A written pass right after a move
+// that left the opponent without a move is that opponent's pass, which the
+// turn order already skipped (toGGF writes these).
+// Returns { moves: [{ r, c, player }] } or { index, reason } for the first
+// move that cannot be played.
+function replayMoves(moves, board, player, rules = {}) {
+    const played = [];
+    let gameOver = false;
+    let skippedPlayer = null; // Opponent passed over by the last move
+
+    for (let i = 0; i < moves.length; i++) {
+        const move = moves[i];
+        if (gameOver) return { index: i, reason: 'Ván cờ đã kết thúc trước nước này.' };
+
+        if (move.pass && skippedPlayer !== null) {
+            if (move.color && move.color !== skippedPlayer) return { index: i, reason: 'Sai lượt đi.' };
+            skippedPlayer = null;
+            continue;
+        }
+        skippedPlayer = null;
+
+        const hasMoves = engine.hasValidMove(board, player);
+        if (move.pass) {
+            if (hasMoves) return { index: i, reason: 'Bỏ lượt khi vẫn còn nước đi.' };
+            player = engine.opponentOf(player);
+            continue;
+        }
+        if (!hasMoves) player = engine.opponentOf(player); // Implicit pass
+        if (move.color && move.color !== player) return { index: i, reason: 'Sai lượt đi.' };
+        if (!engine.isValidMove(board, move.r, move.c, player)) {
+            return { index: i, reason: `Nước đi ${squareName(move.r, move.c)} không hợp lệ.` };
+        }
+
+        played.push({ r: move.r, c: move.c, player });
+        board = engine.applyMove(board, move.r, move.c, player);
+        const turn = engine.getTurnAfterMove(board, player, rules);
+        if (turn.passed) skippedPlayer = engine.opponentOf(player);
+        player = turn.player;
+        gameOver = turn.gameOver;
+    }
+    return { moves: played };
+}
+
+// Accepts either a GGF record or a plain transcript
+function parseGameText(text, size = 8) {
+    if (String(text || '').includes('(;')) {
+        return parseGGF(text);
+    }
+    return { moves: parseTranscript(text, size), size, board: null, toMove: null };
+}
+
+module.exports = {
+    squareName,
+    parseSquare,
+    toTranscript,
+    parseTranscript,
+    toGGF,
+    parseGGF,
+    parseGameText,
+    replayMoves
+};
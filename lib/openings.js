@@ -0,0 +1,121 @@
+// ==================================
+// OPENINGS.JS - Opening book
+// ==================================
+// Named openings for the standard 8x8 start, written as transcripts that
+// begin with f5. The start position has four symmetries (identity, the two
+// diagonal reflections and the 180 degree rotation), each mapping one of the
+// four legal first moves to f5, so a game is normalized through the symmetry
+// of its first move before it is looked up. Rooms with another board size or
+// a non-standard variant have no book.
+
+const { squareName, parseTranscript } = require('./notation');
+const { isStandardVariant } = require('./variants');
+
+const BOOK_SIZE = 8;
+
+const OPENING_BOOK = [
+    { name: 'Diagonal Opening', moves: 'f5d6' },
+    { name: 'Perpendicular Opening', moves: 'f5f6' },
+    { name: 'Parallel Opening', moves: 'f5f4' },
+    { name: 'Tiger', moves: 'f5d6c3d3c4' },
+    { name: 'Tiger (main line)', moves: 'f5d6c3d3c4f4f6f3e6e7' },
+    { name: 'Stephenson', moves: 'f5d6c3d3c4f4c5b3c2' },
+    { name: 'Rose', moves: 'f5d6c5f4e3f6g5e6e7' },
+    { name: 'Cow', moves: 'f5f6e6f4e3' },
+    { name: 'Chimney', moves: 'f5f6e6f4e3d6' },
+    { name: 'Rose-v-Toth', moves: 'f5f6e6f4e3c5c4' },
+    { name: 'Tanida', moves: 'f5f6e6f4e3c5c4e7' },
+    { name: 'Landau', moves: 'f5f6e6f4e3c5c4c3' },
+    { name: 'Bat', moves: 'f5f6e6f4e3c5g5' },
+    { name: 'Buffalo', moves: 'f5f6e6f4c3' },
+    { name: 'Heath', moves: 'f5f6e6f4g5' },
+    { name: 'Snake', moves: 'f5f6e6f4g6' },
+    { name: 'X-square Opening', moves: 'f5f6e6f4g7' }
+];
+
+// Each symmetry is its own inverse, so one function maps both ways
+const SYMMETRIES = [
+    (r, c) => ({ r, c }),
+    (r, c) => ({ r: c, c: r }),
+    (r, c) => ({ r: BOOK_SIZE - 1 - c, c: BOOK_SIZE - 1 - r }),
+    (r, c) => ({ r: BOOK_SIZE - 1 - r, c: BOOK_SIZE - 1 - c })
+];
+
+// Trie keyed by square name; a node's `name` is set where a book line ends
+function buildTrie(book) {
+    const root = { children: new Map(), name: null };
+    for (const { name, moves } of book) {
+        let node = root;
+        for (const { r, c } of parseTranscript(moves, BOOK_SIZE)) {
+            const key = squareName(r, c);
+            if (!node.children.has(key)) node.children.set(key, { children: new Map(), name: null });
+            node = node.children.get(key);
+        }
+        node.name = name;
+    }
+    return root;
+}
+
+const BOOK_TRIE = buildTrie(OPENING_BOOK);
+const FIRST_MOVE = parseTranscript(OPENING_BOOK[0].moves, BOOK_SIZE)[0];
+
+function hasBook(boardSize, variant) {
+    return boardSize === BOOK_SIZE && (!variant || isStandardVariant(variant));
+}
+
+// The symmetry that turns this first move into f5, or null if it is not a
+// legal first move of the standard start
+function symmetryFor(move) {
+    return SYMMETRIES.find(transform => {
+        const mapped = transform(move.row, move.col);
+        return mapped.r === FIRST_MOVE.r && mapped.c === FIRST_MOVE.c;
+    }) || null;
+}
+
+// Follows `moves` ({ row, col }) through the book. Returns the deepest node
+// reached, the last named opening on the way and the symmetry used.
+function walkBook(moves) {
+    let node = BOOK_TRIE;
+    let opening = null;
+    const transform = moves.length > 0 ? symmetryFor(moves[0]) : SYMMETRIES[0];
+    if (!transform) return { node: null, opening, transform };
+
+    for (let i = 0; i < moves.length; i++) {
+        const { r, c } = transform(moves[i].row, moves[i].col);
+        const next = node.children.get(squareName(r, c));
+        if (!next) return { node: null, opening, transform };
+        node = next;
+        if (node.name) opening = { name: node.name, length: i + 1 };
+    }
+    return { node, opening, transform };
+}
+
+// Name of the opening played so far, as { name, length } where `length` is
+// the number of moves the book line covers. Stays on the last named line once
+// the game leaves the book; null before any named line is reached.
+function identifyOpening(moveHistory, boardSize = BOOK_SIZE, variant = null) {
+    if (!hasBook(boardSize, variant)) return null;
+    return walkBook(moveHistory).opening;
+}
+
+// Book continuations from this position as [{ r, c }] in the game's own
+// orientation; empty once the game is out of book. With no moves played yet,
+// the first move is chosen through a random symmetry so AI games vary.
+function getBookMoves(moveHistory, boardSize = BOOK_SIZE, variant = null) {
+    if (!hasBook(boardSize, variant)) return [];
+    const { node, transform } = moveHistory.length > 0
+        ? walkBook(moveHistory)
+        : { node: BOOK_TRIE, transform: SYMMETRIES[Math.floor(Math.random() * SYMMETRIES.length)] };
+    if (!node) return [];
+
+    return [...node.children.keys()].map(key => {
+        const { r, c } = parseTranscript(key, BOOK_SIZE)[0];
+        return transform(r, c);
+    });
+}
+
+module.exports = {
+    OPENING_BOOK,
+    identifyOpening,
+    getBookMoves
+};
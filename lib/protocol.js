@@ -0,0 +1,159 @@
+// ==================================
+// PROTOCOL.JS - Client/server event protocol
+// ==================================
+// The one list of Socket.IO event names and error codes, shared by server.js
+// (require) and the browser client (served as /protocol.js, which defines
+// window.OthelloProtocol). Payload schemas for client events live in
+// lib/validation.js.
+//
+// Handshake: the client sends { protocolVersion } in its Socket.IO auth data.
+// Servers refuse connections older than MIN_CLIENT_VERSION with a
+// connect_error whose data.code is OUTDATED_CLIENT; accepted sockets get a
+// `hello` with the server's version. Version 1 was the unversioned protocol;
+// version 3 added hints and version 4 resignation and draw offers.
+//
+// Bump PROTOCOL_VERSION when an event or payload changes shape, and
+// MIN_CLIENT_VERSION when older clients can no longer play.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OthelloProtocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const PROTOCOL_VERSION = 4;
+    const MIN_CLIENT_VERSION = 2;
+
+    // Client -> server. Every one has a payload schema in lib/validation.js.
+    const CLIENT_EVENTS = {
+        REQUEST_ROOM_LIST: 'requestRoomList',
+        REQUEST_STATS: 'requestStats',
+        REQUEST_ROOM_STATE: 'requestRoomState', // { roomId } -> roomState
+        CREATE_ROOM: 'createRoom',
+        JOIN_ROOM: 'joinRoom',
+        REJOIN_ROOM: 'rejoinRoom',
+        LEAVE_ROOM: 'leaveRoom',
+        SPECTATE_ROOM: 'spectateRoom',
+        START_GAME: 'startGame', // Host, once both seats are filled
+        RESET_GAME: 'resetGame', // Host: new game in the same room
+        MAKE_MOVE: 'makeMove', // { roomId, row, col }
+        REQUEST_UNDO: 'requestUndo',
+        ACCEPT_UNDO: 'acceptUndo',
+        DECLINE_UNDO: 'declineUndo',
+        REQUEST_HINT: 'requestHint', // { roomId, count? } on your own turn -> hint
+        RESIGN: 'resign',
+        OFFER_DRAW: 'offerDraw', // Valid until the next move is played
+        ACCEPT_DRAW: 'acceptDraw',
+        DECLINE_DRAW: 'declineDraw',
+        CHAT_MESSAGE: 'chatMessage', // { roomId, message }
+        FIND_MATCH: 'findMatch',
+        CANCEL_MATCH: 'cancelMatch',
+        REQUEST_TOURNAMENTS: 'requestTournaments',
+        WATCH_TOURNAMENT: 'watchTournament',
+        UNWATCH_TOURNAMENT: 'unwatchTournament',
+        CREATE_TOURNAMENT: 'createTournament',
+        REGISTER_TOURNAMENT: 'registerTournament',
+        WITHDRAW_TOURNAMENT: 'withdrawTournament',
+        START_TOURNAMENT: 'startTournament'
+    };
+
+    // Server -> client. Error events other than requestError carry a
+    // Vietnamese message string.
+    const SERVER_EVENTS = {
+        HELLO: 'hello', // { protocolVersion, nodeId, account }
+        REQUEST_ERROR: 'requestError', // { event, code, message, field?, retryAfterMs? }
+
+        // Rooms. roomState is the full snapshot (see GameRoom.getRoomState)
+        // and follows roomCreated, roomJoined and spectateJoined.
+        ROOM_STATE: 'roomState',
+        ROOM_CREATED: 'roomCreated',
+        ROOM_JOINED: 'roomJoined',
+        ROOM_ERROR: 'roomError',
+        JOIN_ROOM_ERROR: 'joinRoomError',
+        ROOM_NOT_FOUND: 'roomNotFound',
+        PLAYER_JOINED: 'playerJoined', // players[]
+        PLAYER_LEFT: 'playerLeft', // players[]
+        SPECTATE_JOINED: 'spectateJoined',
+        SPECTATE_ERROR: 'spectateError',
+        SPECTATORS_UPDATE: 'spectatorsUpdate', // { spectators }
+        UPDATE_ROOM_LIST: 'updateRoomList',
+        UPDATE_STATS: 'updateStats',
+
+        // Game. Boards are rows of 0 empty, 1 black, 2 white, 3 blocked;
+        // moves are { r, c }.
+        GAME_STARTED: 'gameStarted', // { board, currentPlayer, scores, validMoves, opening, clock, hints: { budget, remaining } }
+        GAME_UPDATE: 'gameUpdate', // Same shape as gameStarted without hints, after every move
+        NO_MOVES_LEFT: 'noMovesLeft', // { currentPlayer } is the player who passed
+        INVALID_MOVE: 'invalidMove',
+        GAME_END: 'gameEnd', // { gameId, winner, scores, reason, ratingChanges, clock }, reason from END_REASONS
+        GAME_ERROR: 'gameError',
+        CHAT_MESSAGE: 'chatMessage', // { sender, message, timestamp }
+
+        // Takebacks
+        UNDO_REQUESTED: 'undoRequested',
+        UNDO_PENDING: 'undoPending',
+        UNDO_DECLINED: 'undoDeclined',
+        UNDO_APPLIED: 'undoApplied',
+        UNDO_ERROR: 'undoError',
+
+        // Draw offers
+        DRAW_OFFERED: 'drawOffered', // { from, color } to the opponent
+        DRAW_PENDING: 'drawPending',
+        DRAW_DECLINED: 'drawDeclined', // { by }
+        DRAW_ERROR: 'drawError',
+
+        // Hints, limited per player and game by the room's hintBudget
+        HINT: 'hint', // { moves: [{ row, col, square, score }], remaining, rated }
+        HINT_ERROR: 'hintError',
+
+        // Quick play
+        MATCHMAKING_QUEUED: 'matchmakingQueued',
+        MATCHMAKING_CANCELLED: 'matchmakingCancelled',
+        MATCHMAKING_ERROR: 'matchmakingError',
+        MATCH_FOUND: 'matchFound',
+
+        // Tournaments
+        TOURNAMENT_LIST: 'tournamentList',
+        TOURNAMENT_UPDATE: 'tournamentUpdate',
+        TOURNAMENT_ERROR: 'tournamentError',
+        TOURNAMENT_GAME_READY: 'tournamentGameReady'
+    };
+
+    // `reason` of gameEnd payloads and archived games
+    const END_REASONS = {
+        NORMAL: 'normal', // Neither side can move
+        RESIGNATION: 'resignation',
+        DRAW_AGREED: 'drawAgreed',
+        DISCONNECT: 'disconnect', // Left the room or did not come back in time
+        TIMEOUT: 'timeout',
+        NO_SHOW: 'noShow' // Tournament game not started by its deadline, see lib/tournament.js
+    };
+
+    // `code` of requestError payloads and connect_error data
+    const ERROR_CODES = {
+        UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+        INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+        RATE_LIMITED: 'RATE_LIMITED',
+        NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
+        INVALID_TOKEN: 'INVALID_TOKEN',
+        OUTDATED_CLIENT: 'OUTDATED_CLIENT',
+        ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+        NOT_IN_ROOM: 'NOT_IN_ROOM',
+        ROOM_LIMIT: 'ROOM_LIMIT'
+    };
+
+    function isSupportedClientVersion(version) {
+        return Number.isInteger(version) && version >= MIN_CLIENT_VERSION;
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        MIN_CLIENT_VERSION,
+        CLIENT_EVENTS,
+        SERVER_EVENTS,
+        END_REASONS,
+        ERROR_CODES,
+        isSupportedClientVersion
+    };
+});
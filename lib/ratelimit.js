@@ -0,0 +1,99 @@
+// ==================================
+// RATELIMIT.JS - Per-socket token buckets
+// ==================================
+// Each socket gets one bucket per event. A bucket holds up to `capacity`
+// tokens, refills at `refillPerSecond` and every event spends one token, so
+// short bursts are fine but sustained spam is rejected. REST routes that run
+// engine searches get the same buckets per client (account or address).
+
+const { CLIENT_EVENTS } = require('./protocol');
+
+const DEFAULT_LIMIT = { capacity: 20, refillPerSecond: 5 };
+
+const EVENT_LIMITS = {
+    createRoom: { capacity: 3, refillPerSecond: 0.1 },
+    joinRoom: { capacity: 5, refillPerSecond: 0.5 }, // Also slows down password guessing
+    rejoinRoom: { capacity: 5, refillPerSecond: 0.5 },
+    spectateRoom: { capacity: 5, refillPerSecond: 0.5 },
+    findMatch: { capacity: 3, refillPerSecond: 0.2 },
+    createTournament: { capacity: 2, refillPerSecond: 0.02 },
+    makeMove: { capacity: 10, refillPerSecond: 4 },
+    chatMessage: { capacity: 5, refillPerSecond: 0.5 },
+    requestUndo: { capacity: 3, refillPerSecond: 0.2 },
+    offerDraw: { capacity: 3, refillPerSecond: 0.2 },
+    requestHint: { capacity: 3, refillPerSecond: 0.5 } // Each one runs an engine search
+};
+
+// Names that are neither protocol events nor listed in `limits` share this
+// one bucket, so a made-up name per packet can't get a fresh bucket each time
+const UNKNOWN_EVENT = '*';
+const UNKNOWN_LIMIT = { capacity: 5, refillPerSecond: 0.5 };
+const KNOWN_EVENTS = new Set(Object.values(CLIENT_EVENTS));
+
+// Keyed by route name, see ClientRateLimiter
+const ROUTE_LIMITS = {
+    analysis: { capacity: 2, refillPerSecond: 1 / 30 }, // A whole game, one search per move
+    hints: { capacity: 3, refillPerSecond: 0.5 } // Same as the requestHint event
+};
+
+class RateLimiter {
+    constructor(limits = EVENT_LIMITS, defaultLimit = DEFAULT_LIMIT) {
+        this.limits = limits;
+        this.defaultLimit = defaultLimit;
+        this.buckets = new Map(); // event -> { tokens, updatedAt }
+    }
+
+    // Spends a token for `event`. Returns 0 when allowed, otherwise the
+    // milliseconds until the next token is available.
+    consume(event, now = Date.now()) {
+        const listed = Object.prototype.hasOwnProperty.call(this.limits, event);
+        const key = listed || KNOWN_EVENTS.has(event) ? event : UNKNOWN_EVENT;
+        const { capacity, refillPerSecond } = key === UNKNOWN_EVENT ? UNKNOWN_LIMIT : (this.limits[event] || this.defaultLimit);
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: capacity, updatedAt: now };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+        bucket.updatedAt = now;
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - bucket.tokens) / refillPerSecond) * 1000);
+    }
+}
+
+// One RateLimiter per client key for REST routes
+class ClientRateLimiter {
+    constructor(limits = ROUTE_LIMITS) {
+        this.limits = limits;
+        this.clients = new Map(); // key -> RateLimiter
+    }
+
+    consume(key, route, now = Date.now()) {
+        let limiter = this.clients.get(key);
+        if (!limiter) {
+            limiter = new RateLimiter(this.limits);
+            this.clients.set(key, limiter);
+        }
+        return limiter.consume(route, now);
+    }
+
+    // Forgets clients with no request in the last `idleMs`
+    prune(idleMs, now = Date.now()) {
+        for (const [key, limiter] of this.clients) {
+            const active = [...limiter.buckets.values()].some(bucket => now - bucket.updatedAt < idleMs);
+            if (!active) this.clients.delete(key);
+        }
+    }
+}
+
+module.exports = {
+    EVENT_LIMITS,
+    ROUTE_LIMITS,
+    UNKNOWN_EVENT,
+    RateLimiter,
+    ClientRateLimiter
+};
@@ -0,0 +1,106 @@
+// ==================================
+// RATING.JS - Glicko-2 player ratings
+// ==================================
+// Every finished game is treated as its own rating period, which is the
+// usual simplification for online play. See Glickman, "Example of the
+// Glicko-2 system" for the formulas and symbol names used below.
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 30;
+const TAU = 0.5; // Constrains volatility changes over time
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+
+function createRating() {
+    return { rating: DEFAULT_RATING, rd: DEFAULT_RD, volatility: DEFAULT_VOLATILITY };
+}
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muOpponent, phiOpponent) {
+    return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+// Step 5 of Glicko-2: new volatility via the Illinois algorithm
+function computeVolatility(phi, sigma, delta, v) {
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        const num = ex * (delta * delta - phi * phi - v - ex);
+        const den = 2 * Math.pow(phi * phi + v + ex, 2);
+        return num / den - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+// Rates `player` after one game against `opponent`.
+// score: 1 = win, 0.5 = draw, 0 = loss. Returns a new { rating, rd, volatility }.
+function updateRating(player, opponent, score) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.rd / SCALE;
+    const muOpponent = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const phiOpponent = opponent.rd / SCALE;
+
+    const gPhi = g(phiOpponent);
+    const E = expectedScore(mu, muOpponent, phiOpponent);
+    const v = 1 / (gPhi * gPhi * E * (1 - E));
+    const delta = v * gPhi * (score - E);
+
+    const volatility = computeVolatility(phi, player.volatility, delta, v);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * gPhi * (score - E);
+
+    return {
+        rating: newMu * SCALE + DEFAULT_RATING,
+        rd: Math.min(Math.max(newPhi * SCALE, MIN_RD), DEFAULT_RD),
+        volatility
+    };
+}
+
+// Rates both sides of a game at once so the second update does not see the
+// first one's result. scoreA is player A's score (1, 0.5 or 0).
+function rateGame(playerA, playerB, scoreA) {
+    return [
+        updateRating(playerA, playerB, scoreA),
+        updateRating(playerB, playerA, 1 - scoreA)
+    ];
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    DEFAULT_RD,
+    DEFAULT_VOLATILITY,
+    createRating,
+    updateRating,
+    rateGame
+};
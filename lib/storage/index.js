@@ -0,0 +1,70 @@
+// ==================================
+// STORAGE/INDEX.JS - Pluggable persistence
+// ==================================
+// Everything the server persists lives in named collections of JSON records
+// keyed by id. Every adapter implements the same async interface:
+//
+//   init()                        open files / connections
+//   get(collection, id)           -> record or null
+//   getAll(collection)            -> { id: record, ... }
+//   setMany(collection, entries)  upsert [[id, record], ...]
+//   remove(collection, id)
+//   replaceAll(collection, records)  overwrite a whole collection (migration)
+//   close()                       flush pending writes and disconnect
+//
+// The adapter is chosen with STORAGE_BACKEND=json|sqlite|redis (default json).
+
+const path = require('path');
+
+const COLLECTIONS = ['accounts', 'leaderboard', 'stats', 'games', 'tournaments', 'rooms'];
+const BACKENDS = ['json', 'sqlite', 'redis'];
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+function checkCollection(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+        throw new Error(`Unknown storage collection: ${collection}`);
+    }
+}
+
+// Loads an optional driver package with a readable error naming the setting
+// (e.g. "STORAGE_BACKEND=sqlite") that needs it
+function requireDriver(name, setting) {
+    try {
+        return require(name);
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            throw new Error(`${setting} needs the "${name}" package (npm install ${name}).`);
+        }
+        throw error;
+    }
+}
+
+function createStorage(env = process.env, { dataDir = DEFAULT_DATA_DIR } = {}) {
+    const backend = (env.STORAGE_BACKEND || 'json').toLowerCase();
+    switch (backend) {
+        case 'json': {
+            const { JsonStorage } = require('./json');
+            return new JsonStorage({ dataDir });
+        }
+        case 'sqlite': {
+            const { SqliteStorage } = require('./sqlite');
+            return new SqliteStorage({ file: env.SQLITE_FILE || path.join(dataDir, 'othello.db') });
+        }
+        case 'redis': {
+            const { RedisStorage } = require('./redis');
+            return new RedisStorage({ url: env.REDIS_URL || 'redis://localhost:6379', prefix: env.REDIS_PREFIX || 'othello' });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    COLLECTIONS,
+    BACKENDS,
+    DEFAULT_DATA_DIR,
+    checkCollection,
+    requireDriver,
+    createStorage
+};
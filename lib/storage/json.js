@@ -0,0 +1,103 @@
+// ==================================
+// STORAGE/JSON.JS - One JSON file per collection
+// ==================================
+// Keeps each collection in memory and rewrites data/<collection>.json after
+// changes. Writes go to a temporary file that is then renamed over the old
+// one, so a crash mid-write never leaves a truncated file behind. Changes
+// made while a write is running are coalesced into one follow-up write.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { checkCollection } = require('./index');
+
+class JsonStorage {
+    constructor({ dataDir }) {
+        this.name = 'json';
+        this.dataDir = dataDir;
+        this.cache = new Map(); // collection -> { id: record }
+        this.writing = new Map(); // collection -> promise of the running write
+        this.dirty = new Set();
+    }
+
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+    }
+
+    fileFor(collection) {
+        return path.join(this.dataDir, `${collection}.json`);
+    }
+
+    async load(collection) {
+        checkCollection(collection);
+        if (this.cache.has(collection)) return this.cache.get(collection);
+        let records = {};
+        try {
+            records = JSON.parse(await fs.readFile(this.fileFor(collection), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.cache.set(collection, records);
+        return records;
+    }
+
+    async get(collection, id) {
+        const records = await this.load(collection);
+        return records[id] ?? null;
+    }
+
+    async getAll(collection) {
+        return { ...(await this.load(collection)) };
+    }
+
+    async setMany(collection, entries) {
+        const records = await this.load(collection);
+        for (const [id, record] of entries) records[id] = record;
+        return this.scheduleWrite(collection);
+    }
+
+    async remove(collection, id) {
+        const records = await this.load(collection);
+        if (!(id in records)) return;
+        delete records[id];
+        return this.scheduleWrite(collection);
+    }
+
+    async replaceAll(collection, records) {
+        checkCollection(collection);
+        this.cache.set(collection, { ...records });
+        return this.scheduleWrite(collection);
+    }
+
+    scheduleWrite(collection) {
+        this.dirty.add(collection);
+        if (!this.writing.has(collection)) {
+            const run = this.writeLoop(collection).finally(() => {
+                this.writing.delete(collection);
+                // Picks up changes that arrived after the loop's last check
+                if (this.dirty.has(collection)) this.scheduleWrite(collection);
+            });
+            this.writing.set(collection, run);
+        }
+        return this.writing.get(collection);
+    }
+
+    async writeLoop(collection) {
+        while (this.dirty.has(collection)) {
+            this.dirty.delete(collection);
+            const file = this.fileFor(collection);
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(this.cache.get(collection), null, 2), 'utf8');
+            await fs.rename(temp, file);
+        }
+    }
+
+    async close() {
+        while (this.writing.size > 0) {
+            await Promise.all(this.writing.values());
+        }
+    }
+}
+
+module.exports = {
+    JsonStorage
+};
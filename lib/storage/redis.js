@@ -0,0 +1,71 @@
+// ==================================
+// STORAGE/REDIS.JS - Redis hashes
+// ==================================
+// Each collection is one hash, "<prefix>:<collection>", mapping id -> JSON
+// record. Several server instances can share the same Redis.
+
+const { checkCollection, requireDriver } = require('./index');
+
+class RedisStorage {
+    constructor({ url, prefix }) {
+        this.name = 'redis';
+        this.url = url;
+        this.prefix = prefix;
+        this.client = null;
+    }
+
+    async init() {
+        const { createClient } = requireDriver('redis', 'STORAGE_BACKEND=redis');
+        this.client = createClient({ url: this.url });
+        this.client.on('error', error => console.error('Redis error:', error.message));
+        await this.client.connect();
+    }
+
+    keyFor(collection) {
+        checkCollection(collection);
+        return `${this.prefix}:${collection}`;
+    }
+
+    async get(collection, id) {
+        const data = await this.client.hGet(this.keyFor(collection), id);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async getAll(collection) {
+        const hash = await this.client.hGetAll(this.keyFor(collection));
+        const records = {};
+        for (const [id, data] of Object.entries(hash)) {
+            records[id] = JSON.parse(data);
+        }
+        return records;
+    }
+
+    async setMany(collection, entries) {
+        if (entries.length === 0) return;
+        const fields = {};
+        for (const [id, record] of entries) fields[id] = JSON.stringify(record);
+        await this.client.hSet(this.keyFor(collection), fields);
+    }
+
+    async remove(collection, id) {
+        await this.client.hDel(this.keyFor(collection), id);
+    }
+
+    async replaceAll(collection, records) {
+        const key = this.keyFor(collection);
+        const multi = this.client.multi().del(key);
+        const fields = {};
+        for (const [id, record] of Object.entries(records)) fields[id] = JSON.stringify(record);
+        if (Object.keys(fields).length > 0) multi.hSet(key, fields);
+        await multi.exec();
+    }
+
+    async close() {
+        if (this.client) await this.client.quit();
+        this.client = null;
+    }
+}
+
+module.exports = {
+    RedisStorage
+};
@@ -0,0 +1,94 @@
+// ==================================
+// STORAGE/SQLITE.JS - Embedded SQLite database
+// ==================================
+// All collections share one table of (collection, id, JSON record) rows, so a
+// record update touches one row instead of rewriting a whole file. Uses the
+// synchronous better-sqlite3 driver in WAL mode; the async methods only keep
+// the interface the same as the other adapters.
+
+const fs = require('fs');
+const path = require('path');
+const { checkCollection, requireDriver } = require('./index');
+
+class SqliteStorage {
+    constructor({ file }) {
+        this.name = 'sqlite';
+        this.file = file;
+        this.db = null;
+    }
+
+    async init() {
+        const Database = requireDriver('better-sqlite3', 'STORAGE_BACKEND=sqlite');
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (collection, id)
+            )
+        `);
+        this.statements = {
+            get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+            all: this.db.prepare('SELECT id, data FROM records WHERE collection = ?'),
+            upsert: this.db.prepare(`
+                INSERT INTO records (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+            clear: this.db.prepare('DELETE FROM records WHERE collection = ?')
+        };
+        this.upsertMany = this.db.transaction((collection, entries) => {
+            const now = Date.now();
+            for (const [id, record] of entries) {
+                this.statements.upsert.run(collection, id, JSON.stringify(record), now);
+            }
+        });
+        this.replace = this.db.transaction((collection, records) => {
+            this.statements.clear.run(collection);
+            this.upsertMany(collection, Object.entries(records));
+        });
+    }
+
+    async get(collection, id) {
+        checkCollection(collection);
+        const row = this.statements.get.get(collection, id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async getAll(collection) {
+        checkCollection(collection);
+        const records = {};
+        for (const row of this.statements.all.all(collection)) {
+            records[row.id] = JSON.parse(row.data);
+        }
+        return records;
+    }
+
+    async setMany(collection, entries) {
+        checkCollection(collection);
+        this.upsertMany(collection, entries);
+    }
+
+    async remove(collection, id) {
+        checkCollection(collection);
+        this.statements.remove.run(collection, id);
+    }
+
+    async replaceAll(collection, records) {
+        checkCollection(collection);
+        this.replace(collection, records);
+    }
+
+    async close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+}
+
+module.exports = {
+    SqliteStorage
+};
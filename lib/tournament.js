@@ -0,0 +1,285 @@
+// ==================================
+// TOURNAMENT.JS - Round-robin and Swiss tournaments
+// ==================================
+// Tournaments are plain JSON objects so they can be saved as-is:
+// {
+//   id, name, format: 'round-robin' | 'swiss', status: 'registration' | 'running' | 'finished',
+//   createdBy, createdAt, startedAt, finishedAt, timeControl (label or null), totalRounds,
+//   players: [{ accountId, name, rating }],
+//   schedule: [[[idA, idB | null], ...], ...]   // round-robin only, planned at start
+//   rounds: [{ number, pairings: [{ black, white, roomId, result, gameId, deadline }] }]
+// }
+// `black`/`white` are account ids; a bye has `white: null`. `result` is
+// 1 (black won), 2 (white won), 0 (draw), 'bye', 'forfeit' (neither player
+// turned up, both lose) or null while unplayed. `deadline` is when a pairing
+// whose players have not both arrived is decided by noShowResult.
+
+const FORMATS = ['round-robin', 'swiss'];
+const DOUBLE_FORFEIT = 'forfeit';
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 64;
+
+function createTournament({ id, name, format, totalRounds = null, timeControl = null, createdBy }) {
+    return {
+        id,
+        name,
+        format,
+        status: 'registration',
+        createdBy,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        timeControl,
+        totalRounds,
+        players: [],
+        schedule: null,
+        rounds: []
+    };
+}
+
+// Returns an error message, or null when `accountId` could register
+function canRegister(tournament, accountId) {
+    if (tournament.status !== 'registration') return 'Giải đấu đã bắt đầu, không thể đăng ký.';
+    if (tournament.players.some(p => p.accountId === accountId)) return 'Bạn đã đăng ký giải đấu này.';
+    if (tournament.players.length >= MAX_PLAYERS) return 'Giải đấu đã đủ người.';
+    return null;
+}
+
+// Circle method: one player stays fixed while the rest rotate. An odd field
+// gets a null "player", and whoever meets it has the bye that round. Black
+// goes to whichever side has had it less often so far.
+function generateRoundRobinSchedule(playerIds) {
+    const ids = playerIds.slice();
+    if (ids.length % 2 === 1) ids.push(null);
+    const rounds = [];
+    const half = ids.length / 2;
+    const blackCounts = new Map(playerIds.map(id => [id, 0]));
+
+    for (let round = 0; round < ids.length - 1; round++) {
+        const pairs = [];
+        for (let i = 0; i < half; i++) {
+            let a = ids[i];
+            let b = ids[ids.length - 1 - i];
+            if (a === null || b === null) {
+                pairs.push([a === null ? b : a, null]);
+                continue;
+            }
+            const diff = blackCounts.get(a) - blackCounts.get(b);
+            if (diff > 0 || (diff === 0 && round % 2 === 1)) [a, b] = [b, a];
+            blackCounts.set(a, blackCounts.get(a) + 1);
+            pairs.push([a, b]);
+        }
+        rounds.push(pairs);
+        ids.splice(1, 0, ids.pop()); // Rotate everyone but the first
+    }
+    return rounds;
+}
+
+function getPointsFor(pairing, accountId, byePoints) {
+    if (pairing.result === null) return 0;
+    if (pairing.result === 'bye') return pairing.black === accountId ? byePoints : 0;
+    if (pairing.result === DOUBLE_FORFEIT) return 0;
+    if (pairing.result === 0) return 0.5;
+    const color = pairing.black === accountId ? 1 : 2;
+    return pairing.result === color ? 1 : 0;
+}
+
+// Standings sorted by points, then Buchholz (sum of opponents' points), then rating
+function computeStandings(tournament) {
+    const byePoints = tournament.format === 'swiss' ? 1 : 0;
+    const rows = new Map(tournament.players.map(p => [p.accountId, {
+        accountId: p.accountId,
+        name: p.name,
+        rating: p.rating,
+        points: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        byes: 0,
+        played: 0,
+        buchholz: 0,
+        opponents: []
+    }]));
+
+    for (const round of tournament.rounds) {
+        for (const pairing of round.pairings) {
+            if (pairing.result === null) continue;
+            if (pairing.result === 'bye') {
+                const row = rows.get(pairing.black);
+                if (row) {
+                    row.byes++;
+                    row.points += byePoints;
+                }
+                continue;
+            }
+            for (const [id, opponentId] of [[pairing.black, pairing.white], [pairing.white, pairing.black]]) {
+                const row = rows.get(id);
+                if (!row) continue;
+                const points = getPointsFor(pairing, id, byePoints);
+                row.points += points;
+                row.played++;
+                row.opponents.push(opponentId);
+                if (points === 1) row.wins++;
+                else if (points === 0.5) row.draws++;
+                else row.losses++;
+            }
+        }
+    }
+
+    for (const row of rows.values()) {
+        row.buchholz = row.opponents.reduce((sum, id) => sum + (rows.get(id)?.points || 0), 0);
+    }
+
+    return Array.from(rows.values())
+        .map(({ opponents, ...row }) => row)
+        .sort((a, b) => b.points - a.points || b.buchholz - a.buchholz || b.rating - a.rating);
+}
+
+function havePlayed(tournament, a, b) {
+    return tournament.rounds.some(round => round.pairings.some(p =>
+        (p.black === a && p.white === b) || (p.black === b && p.white === a)));
+}
+
+function countBlackGames(tournament, accountId) {
+    return tournament.rounds.reduce((n, round) =>
+        n + round.pairings.filter(p => p.black === accountId && p.white !== null).length, 0);
+}
+
+// Pairs the next Swiss round: players sorted by standing are matched top-down
+// with the nearest opponent they have not met yet (backtracking when a
+// group cannot be completed). With an odd field the lowest-ranked player who
+// has not had a bye sits out.
+function pairSwissRound(tournament) {
+    const standings = computeStandings(tournament);
+    let order = standings.map(row => row.accountId);
+    const pairs = [];
+
+    if (order.length % 2 === 1) {
+        const hadBye = new Set(standings.filter(row => row.byes > 0).map(row => row.accountId));
+        const byeIndex = [...order.keys()].reverse().find(i => !hadBye.has(order[i])) ?? order.length - 1;
+        pairs.push([order[byeIndex], null]);
+        order = order.filter((_, i) => i !== byeIndex);
+    }
+
+    const matched = pairRemaining(tournament, order) || pairRemaining(tournament, order, true);
+    for (const [a, b] of matched) {
+        // Whoever has had black less often gets it this time
+        pairs.push(countBlackGames(tournament, a) <= countBlackGames(tournament, b) ? [a, b] : [b, a]);
+    }
+    return pairs;
+}
+
+function pairRemaining(tournament, order, allowRematches = false) {
+    if (order.length === 0) return [];
+    const [first, ...rest] = order;
+    for (let i = 0; i < rest.length; i++) {
+        if (!allowRematches && havePlayed(tournament, first, rest[i])) continue;
+        const tail = pairRemaining(tournament, rest.filter((_, j) => j !== i), allowRematches);
+        if (tail) return [[first, rest[i]], ...tail];
+    }
+    return null;
+}
+
+// Starts the tournament and returns the first round
+function startTournament(tournament) {
+    const ids = tournament.players.map(p => p.accountId);
+    tournament.status = 'running';
+    tournament.startedAt = Date.now();
+    if (tournament.format === 'round-robin') {
+        tournament.schedule = generateRoundRobinSchedule(ids);
+        tournament.totalRounds = tournament.schedule.length;
+    } else if (!tournament.totalRounds) {
+        // Enough rounds to separate a clear winner
+        tournament.totalRounds = Math.max(1, Math.ceil(Math.log2(ids.length)) + 1);
+    }
+    return createNextRound(tournament);
+}
+
+function createNextRound(tournament) {
+    const number = tournament.rounds.length + 1;
+    const pairs = tournament.format === 'round-robin'
+        ? tournament.schedule[number - 1]
+        : pairSwissRound(tournament);
+    const round = {
+        number,
+        pairings: pairs.map(([black, white]) => ({
+            black,
+            white,
+            roomId: null,
+            result: white === null ? 'bye' : null,
+            gameId: null,
+            deadline: null
+        }))
+    };
+    tournament.rounds.push(round);
+    return round;
+}
+
+function getCurrentRound(tournament) {
+    return tournament.rounds[tournament.rounds.length - 1] || null;
+}
+
+function isRoundComplete(round) {
+    return round.pairings.every(p => p.result !== null);
+}
+
+// Stores the result of the game played in `roomId`. Returns the pairing, or
+// null if the room is not part of the current round or already has a result.
+function recordResult(tournament, roomId, winnerColor, gameId = null) {
+    const round = getCurrentRound(tournament);
+    const pairing = round && round.pairings.find(p => p.roomId === roomId);
+    if (!pairing || pairing.result !== null) return null;
+    pairing.result = winnerColor;
+    pairing.gameId = gameId;
+    return pairing;
+}
+
+// Result for a pairing not started by its deadline, given the colors of the
+// players who are in the room: the one who turned up wins, nobody otherwise
+function noShowResult(presentColors) {
+    return presentColors.length === 1 ? presentColors[0] : DOUBLE_FORFEIT;
+}
+
+// Call after a round completes: opens the next round, or finishes the
+// tournament. Returns the new round or null when the tournament is over.
+function advanceTournament(tournament) {
+    if (tournament.rounds.length >= tournament.totalRounds) {
+        tournament.status = 'finished';
+        tournament.finishedAt = Date.now();
+        return null;
+    }
+    return createNextRound(tournament);
+}
+
+function summarizeTournament(tournament) {
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        timeControl: tournament.timeControl,
+        playerCount: tournament.players.length,
+        currentRound: tournament.rounds.length,
+        totalRounds: tournament.totalRounds,
+        createdAt: tournament.createdAt
+    };
+}
+
+module.exports = {
+    FORMATS,
+    DOUBLE_FORFEIT,
+    MIN_PLAYERS,
+    MAX_PLAYERS,
+    createTournament,
+    canRegister,
+    generateRoundRobinSchedule,
+    computeStandings,
+    pairSwissRound,
+    startTournament,
+    getCurrentRound,
+    isRoundComplete,
+    recordResult,
+    noShowResult,
+    advanceTournament,
+    summarizeTournament
+};
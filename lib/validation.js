@@ -0,0 +1,210 @@
+// ==================================
+// VALIDATION.JS - Socket event payload schemas
+// ==================================
+// Every client event has a schema here. validatePayload() checks types,
+// ranges and lengths, trims strings, drops unknown fields and returns a clean
+// object, so handlers never see raw client input.
+
+const variants = require('./variants');
+const { CLIENT_EVENTS, ERROR_CODES } = require('./protocol');
+
+const LIMITS = {
+    maxNameLength: 20,
+    maxRoomNameLength: 30,
+    maxPasswordLength: 50,
+    maxChatLength: 200,
+    maxPieceShapeLength: 8,
+    maxBoardIndex: 15, // Rooms check against their own board size
+    boardSizes: [4, 6, 8, 10, 12, 14, 16],
+    maxBlockedSquares: variants.maxBlockedSquares(16), // Rooms check against their own board size
+    maxHintBudget: 10, // Hints per player and game
+    maxHintMoves: 3
+};
+
+// Field validators return { value } or { error }. `optional` fields may be
+// undefined or null and then come out as undefined.
+function makeValidator(check, { optional = false } = {}) {
+    return value => {
+        if (value === undefined || value === null) {
+            return optional ? { value: undefined } : { error: 'bắt buộc' };
+        }
+        return check(value);
+    };
+}
+
+const field = {
+    string({ min = 0, max, trim = true, pattern = null, optional = false } = {}) {
+        return makeValidator(value => {
+            if (typeof value !== 'string') return { error: 'phải là chuỗi' };
+            const text = trim ? value.trim() : value;
+            if (text.length < min) return { error: min === 1 ? 'không được để trống' : `tối thiểu ${min} ký tự` };
+            if (max !== undefined && text.length > max) return { error: `tối đa ${max} ký tự` };
+            if (pattern && !pattern.test(text)) return { error: 'không đúng định dạng' };
+            if (optional && text === '') return { value: undefined };
+            return { value: text };
+        }, { optional });
+    },
+
+    integer({ min = -Infinity, max = Infinity, optional = false } = {}) {
+        return makeValidator(value => {
+            if (!Number.isInteger(value)) return { error: 'phải là số nguyên' };
+            if (value < min || value > max) return { error: `phải từ ${min} đến ${max}` };
+            return { value };
+        }, { optional });
+    },
+
+    boolean({ optional = false } = {}) {
+        return makeValidator(value => (typeof value === 'boolean' ? { value } : { error: 'phải là true/false' }), { optional });
+    },
+
+    oneOf(values, { optional = false } = {}) {
+        return makeValidator(value => (values.includes(value) ? { value } : { error: `phải là một trong: ${values.join(', ')}` }), { optional });
+    },
+
+    // Nested object checked field by field against `schema`; unknown keys are dropped
+    object(schema, { optional = false } = {}) {
+        return makeValidator(value => {
+            if (typeof value !== 'object' || Array.isArray(value)) return { error: 'phải là object' };
+            const clean = {};
+            for (const [name, validate] of Object.entries(schema)) {
+                const result = validate(value[name]);
+                if (result.error) return { error: `(${name}) ${result.error}` };
+                if (result.value !== undefined) clean[name] = result.value;
+            }
+            return { value: clean };
+        }, { optional });
+    },
+
+    // "10+5" style strings or { minutes, increment, perMove }; lib/clock.js checks the meaning
+    timeControl({ optional = true } = {}) {
+        return makeValidator(value => {
+            if (typeof value === 'string') {
+                return value.length <= 20 ? { value: value.trim() } : { error: 'tối đa 20 ký tự' };
+            }
+            if (typeof value === 'object' && !Array.isArray(value)) {
+                const clean = {};
+                for (const key of ['minutes', 'increment', 'perMove']) {
+                    if (value[key] === undefined || value[key] === null) continue;
+                    if (typeof value[key] !== 'number' || !Number.isFinite(value[key])) return { error: `${key} phải là số` };
+                    clean[key] = value[key];
+                }
+                return { value: clean };
+            }
+            return { error: 'không hợp lệ' };
+        }, { optional });
+    }
+};
+
+const roomId = field.string({ min: 1, max: 12, pattern: /^[A-Za-z0-9]+$/ });
+const tournamentId = field.string({ min: 1, max: 64 });
+const playerName = field.string({ max: LIMITS.maxNameLength, optional: true });
+const pieceShape = field.string({ max: LIMITS.maxPieceShapeLength, optional: true });
+const password = field.string({ max: LIMITS.maxPasswordLength, trim: false, optional: true });
+const roomOnly = { roomId };
+
+const EVENT_SCHEMAS = {
+    requestRoomList: {},
+    requestStats: {},
+    requestRoomState: roomOnly,
+    createRoom: {
+        playerName,
+        playerPieceShape: pieceShape,
+        gameMode: field.oneOf(['online', 'ai'], { optional: true }),
+        aiDifficulty: field.oneOf(['easy', 'medium', 'hard'], { optional: true }),
+        timeControl: field.timeControl(),
+        boardSize: field.oneOf(LIMITS.boardSizes, { optional: true }),
+        variant: field.object({
+            rule: field.oneOf(variants.RULES, { optional: true }),
+            opening: field.oneOf(variants.OPENINGS, { optional: true }),
+            blockedSquares: field.integer({ min: 0, max: LIMITS.maxBlockedSquares, optional: true }),
+            handicap: field.integer({ min: 0, max: variants.MAX_HANDICAP, optional: true }),
+            noPass: field.boolean({ optional: true })
+        }, { optional: true }),
+        roomName: field.string({ max: LIMITS.maxRoomNameLength, optional: true }),
+        visibility: field.oneOf(['public', 'unlisted'], { optional: true }),
+        password,
+        hintBudget: field.integer({ min: 0, max: LIMITS.maxHintBudget, optional: true })
+    },
+    joinRoom: { roomId, playerName, playerPieceShape: pieceShape, password },
+    rejoinRoom: { roomId, password },
+    findMatch: {
+        playerPieceShape: pieceShape,
+        timeControl: field.timeControl(),
+        rated: field.boolean({ optional: true })
+    },
+    cancelMatch: {},
+    requestTournaments: {},
+    watchTournament: { tournamentId },
+    unwatchTournament: { tournamentId },
+    createTournament: {
+        name: field.string({ min: 1, max: 50 }),
+        format: field.oneOf(['round-robin', 'swiss'], { optional: true }),
+        rounds: field.integer({ min: 1, max: 20, optional: true }),
+        timeControl: field.timeControl()
+    },
+    registerTournament: { tournamentId },
+    withdrawTournament: { tournamentId },
+    startTournament: { tournamentId },
+    spectateRoom: { roomId, playerName, password },
+    makeMove: {
+        roomId,
+        row: field.integer({ min: 0, max: LIMITS.maxBoardIndex }),
+        col: field.integer({ min: 0, max: LIMITS.maxBoardIndex })
+    },
+    requestUndo: roomOnly,
+    acceptUndo: roomOnly,
+    declineUndo: roomOnly,
+    resign: roomOnly,
+    offerDraw: roomOnly,
+    acceptDraw: roomOnly,
+    declineDraw: roomOnly,
+    requestHint: { roomId, count: field.integer({ min: 1, max: LIMITS.maxHintMoves, optional: true }) },
+    chatMessage: { roomId, message: field.string({ min: 1, max: LIMITS.maxChatLength }) },
+    startGame: roomOnly,
+    resetGame: roomOnly,
+    leaveRoom: roomOnly
+};
+
+// Keeps this file and lib/protocol.js in step; fails at startup instead of
+// rejecting a protocol event at runtime
+const protocolEvents = new Set(Object.values(CLIENT_EVENTS));
+for (const event of protocolEvents) {
+    if (!EVENT_SCHEMAS[event]) throw new Error(`No payload schema for protocol event "${event}"`);
+}
+for (const event of Object.keys(EVENT_SCHEMAS)) {
+    if (!protocolEvents.has(event)) throw new Error(`Event "${event}" is missing from lib/protocol.js`);
+}
+
+function isClientEvent(event) {
+    return Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event);
+}
+
+// Returns { value } with only the schema's fields, or { error: { code, field, message } }
+function validatePayload(event, payload) {
+    if (!isClientEvent(event)) {
+        return { error: { code: ERROR_CODES.UNKNOWN_EVENT, message: `Sự kiện không được hỗ trợ: ${event}` } };
+    }
+    const input = payload === undefined || payload === null ? {} : payload;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: { code: ERROR_CODES.INVALID_PAYLOAD, message: 'Dữ liệu gửi lên phải là một object.' } };
+    }
+
+    const schema = EVENT_SCHEMAS[event];
+    const value = {};
+    for (const [name, validate] of Object.entries(schema)) {
+        const result = validate(input[name]);
+        if (result.error) {
+            return { error: { code: ERROR_CODES.INVALID_PAYLOAD, field: name, message: `Trường "${name}" ${result.error}.` } };
+        }
+        if (result.value !== undefined) value[name] = result.value;
+    }
+    return { value };
+}
+
+module.exports = {
+    ERROR_CODES,
+    LIMITS,
+    EVENT_SCHEMAS,
+    isClientEvent,
+    validatePayload
+};
@@ -0,0 +1,99 @@
+// ==================================
+// VARIANTS.JS - Othello rule variants
+// ==================================
+// A room's variant is chosen at creation time and combines:
+//   rule            'standard', or 'anti' (Anti-Othello: fewer discs wins)
+//   opening         'standard' (diagonal), 'parallel', or 'random' (a few
+//                   random moves played from the standard start)
+//   blockedSquares  random empty squares nobody can play on or flip through
+//   handicap        corner discs (0-4) given to the lower-rated player
+//   noPass          a player with no legal move loses instead of passing
+// GameRoom builds the start position and decides the winner from it.
+
+const { BLOCKED } = require('./engine'); // Board value of a blocked square
+
+const RULES = ['standard', 'anti'];
+const OPENINGS = ['standard', 'parallel', 'random'];
+const MAX_HANDICAP = 4;
+const RANDOM_OPENING_PLIES = 4;
+
+const DEFAULT_VARIANT = {
+    rule: 'standard',
+    opening: 'standard',
+    blockedSquares: 0,
+    handicap: 0,
+    noPass: false
+};
+
+// Up to an eighth of the board may be blocked
+function maxBlockedSquares(size) {
+    return Math.floor((size * size) / 8);
+}
+
+// Fills in defaults; `options` has already been through validatePayload
+function normalizeVariant(options = {}) {
+    const variant = { ...DEFAULT_VARIANT };
+    for (const key of Object.keys(DEFAULT_VARIANT)) {
+        if (options[key] !== undefined) variant[key] = options[key];
+    }
+    return variant;
+}
+
+function isStandardVariant(variant) {
+    return Object.keys(DEFAULT_VARIANT).every(key => variant[key] === DEFAULT_VARIANT[key]);
+}
+
+// Center discs for a fixed opening as [row, col, color]
+function getOpeningDiscs(opening, size) {
+    const mid = size / 2;
+    if (opening === 'parallel') {
+        return [[mid - 1, mid - 1, 1], [mid - 1, mid, 1], [mid, mid - 1, 2], [mid, mid, 2]];
+    }
+    // Standard: d4/e5 white, e4/d5 black on 8x8
+    return [[mid - 1, mid - 1, 2], [mid - 1, mid, 1], [mid, mid - 1, 1], [mid, mid, 2]];
+}
+
+// Corners in the order handicap discs are handed out: a1, then the opposite
+// corner, then the other diagonal
+function getHandicapCorners(size) {
+    const last = size - 1;
+    return [[0, 0], [last, last], [0, last], [last, 0]];
+}
+
+// 1 or 2 for the winner, 0 for a draw, from the final disc counts
+function winnerByDiscs(variant, scores) {
+    if (scores[1] === scores[2]) return 0;
+    const blackHasMore = scores[1] > scores[2];
+    if (variant.rule === 'anti') return blackHasMore ? 2 : 1;
+    return blackHasMore ? 1 : 2;
+}
+
+// Short Vietnamese label for the room list, e.g. "Anti-Othello, không bỏ lượt"
+function describeVariant(variant) {
+    const parts = [];
+    if (variant.rule === 'anti') parts.push('Anti-Othello');
+    if (variant.opening === 'parallel') parts.push('khai cuộc song song');
+    if (variant.opening === 'random') parts.push('khai cuộc ngẫu nhiên');
+    if (variant.blockedSquares > 0) parts.push(`${variant.blockedSquares} ô chặn`);
+    if (variant.handicap > 0) parts.push(`chấp ${variant.handicap} góc`);
+    if (variant.noPass) parts.push('không bỏ lượt');
+    if (parts.length === 0) return 'Tiêu chuẩn';
+    const label = parts.join(', ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+module.exports = {
+    BLOCKED,
+    RULES,
+    OPENINGS,
+    MAX_HANDICAP,
+    RANDOM_OPENING_PLIES,
+    DEFAULT_VARIANT,
+    maxBlockedSquares,
+    normalizeVariant,
+    isStandardVariant,
+    getOpeningDiscs,
+    getHandicapCorners,
+    winnerByDiscs,
+    describeVariant
+};
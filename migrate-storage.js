@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script - Chuyển dữ liệu data/*.json sang backend lưu trữ đã chọn
+ * Chạy: STORAGE_BACKEND=sqlite npm run migrate:storage
+ *       STORAGE_BACKEND=redis REDIS_URL=redis://localhost:6379 npm run migrate:storage
+ * Tùy chọn: --from <thư mục> (mặc định ./data)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { COLLECTIONS, DEFAULT_DATA_DIR, createStorage } = require('./lib/storage');
+
+async function readCollection(dir, collection) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dir, `${collection}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Không đọc được ${collection}.json: ${error.message}`);
+    }
+}
+
+async function main() {
+    const fromIndex = process.argv.indexOf('--from');
+    const sourceDir = fromIndex !== -1 ? path.resolve(process.argv[fromIndex + 1]) : DEFAULT_DATA_DIR;
+    const backend = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+
+    if (backend === 'json' && sourceDir === DEFAULT_DATA_DIR) {
+        console.log('STORAGE_BACKEND đang là json, dữ liệu đã nằm trong data/. Không có gì để chuyển.');
+        return;
+    }
+
+    const storage = createStorage();
+    await storage.init();
+    console.log(`🚚 Chuyển dữ liệu từ ${sourceDir} sang ${storage.name}...\n`);
+
+    try {
+        for (const collection of COLLECTIONS) {
+            const records = await readCollection(sourceDir, collection);
+            if (records === null) {
+                console.log(`  - ${collection}: không có file, bỏ qua`);
+                continue;
+            }
+            await storage.replaceAll(collection, records);
+            console.log(`  ✓ ${collection}: ${Object.keys(records).length} bản ghi`);
+        }
+    } finally {
+        await storage.close();
+    }
+
+    console.log('\n✅ Hoàn tất. Khởi động server với cùng STORAGE_BACKEND để dùng dữ liệu mới.');
+}
+
+main().catch(error => {
+    console.error('❌ Lỗi khi chuyển dữ liệu:', error.message);
+    process.exit(1);
+});
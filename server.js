@@ -8,7 +8,23 @@ const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const fs = require('fs').promises;
+const crypto = require('crypto');
+const ai = require('./lib/ai');
+const engine = require('./lib/engine');
+const notation = require('./lib/notation');
+const openings = require('./lib/openings');
+const analysis = require('./lib/analysis');
+const rating = require('./lib/rating');
+const auth = require('./lib/auth');
+const { GameClock, parseTimeControl, formatTimeControl } = require('./lib/clock');
+const { MatchmakingQueue } = require('./lib/matchmaking');
+const tournament = require('./lib/tournament');
+const variants = require('./lib/variants');
+const { ERROR_CODES, LIMITS, isClientEvent, validatePayload } = require('./lib/validation');
+const { PROTOCOL_VERSION, CLIENT_EVENTS, SERVER_EVENTS, END_REASONS, isSupportedClientVersion } = require('./lib/protocol');
+const { RateLimiter, ClientRateLimiter } = require('./lib/ratelimit');
+const { createStorage } = require('./lib/storage');
+const { NODE_ID, createSocketAdapter, RemoteSocket } = require('./lib/cluster');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,95 +44,112 @@ app.use(compression());
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+// The event protocol is shared with the browser client
+app.get('/protocol.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'protocol.js')));
+app.get('/bitboard.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'bitboard.js')));
+app.get('/engine.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'engine.js')));
 
 // Game storage
 const rooms = new Map();
-const players = new Map(); // Stores socketId -> { roomId, name, pieceShape }
-const leaderboard = new Map(); // Stores playerName -> { wins, losses, draws }
-const gameStats = new Map(); // Stores player stats: { gamesPlayed, totalMoves, avgMoveTime, maxScore }
-
-// File paths for persistence
-const LEADERBOARD_FILE = path.join(__dirname, 'data', 'leaderboard.json');
-const STATS_FILE = path.join(__dirname, 'data', 'stats.json');
-
-// Initialize data directory
-async function initializeDataDirectory() {
+const players = new Map(); // Stores socketId -> { roomId, accountId, name, pieceShape }
+const accounts = new Map(); // Stores accountId -> { id, username, passwordHash, createdAt }
+const matchmaking = new MatchmakingQueue();
+const leaderboard = new Map(); // Stores accountId -> { name, wins, losses, draws, rating, rd, volatility, ratingHistory }
+const gameStats = new Map(); // Stores accountId -> per-player totals, see getStatsEntry
+const gameArchive = new Map(); // Stores gameId -> finished game record
+const tournaments = new Map(); // Stores tournamentId -> tournament (see lib/tournament.js)
+const remoteNodes = new Map(); // Stores nodeId -> { publicRooms, roomIds, playerCount, updatedAt } for other instances
+const remoteSockets = new Map(); // Stores socketId -> RemoteSocket for clients of other instances playing here
+const forwardedSockets = new Map(); // Stores socketId -> Set of nodeIds this node forwarded the socket's events to
+
+// Persistence (JSON files, SQLite or Redis, see lib/storage)
+const storage = createStorage();
+
+// Open the storage backend and load persisted data
+async function initializeStorage() {
     try {
-        await fs.mkdir(path.join(__dirname, 'data'), { recursive: true });
-        console.log('Data directory ensured.');
-        await loadLeaderboard();
-        await loadStats();
+        await storage.init();
+        console.log(`Storage ready (${storage.name}).`);
     } catch (error) {
-        console.error('Error initializing data directory:', error);
+        console.error('Error initializing storage:', error);
+        process.exit(1);
     }
+    await loadCollection('accounts', accounts, 'Accounts');
+    await loadCollection('leaderboard', leaderboard, 'Leaderboard');
+    await loadCollection('stats', gameStats, 'Game stats');
+    await loadCollection('games', gameArchive, 'Game archive');
+    await loadCollection('tournaments', tournaments, 'Tournaments');
 }
 
 // Load/Save Data
-async function loadLeaderboard() {
+async function loadCollection(collection, map, label) {
     try {
-        const data = await fs.readFile(LEADERBOARD_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        for (const [key, value] of Object.entries(parsed)) {
-            leaderboard.set(key, value);
+        const records = await storage.getAll(collection);
+        for (const [key, value] of Object.entries(records)) {
+            map.set(key, value);
         }
-        console.log('Leaderboard loaded.');
+        console.log(`${label} loaded (${map.size}).`);
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('Leaderboard file not found, starting fresh.');
-        } else {
-            console.error('Error loading leaderboard:', error);
-        }
+        console.error(`Error loading ${label.toLowerCase()}:`, error);
     }
 }
 
-async function saveLeaderboard() {
+// Writes the records with the given ids, or the whole map when `ids` is omitted
+async function saveCollection(collection, map, ids = null) {
     try {
-        const data = JSON.stringify(Object.fromEntries(leaderboard), null, 2);
-        await fs.writeFile(LEADERBOARD_FILE, data, 'utf8');
-        console.log('Leaderboard saved.');
+        const keys = (ids || Array.from(map.keys())).filter(id => map.has(id));
+        const entries = keys.map(id => [id, map.get(id)]);
+        await storage.setMany(collection, entries);
+        if (ids && clusterEnabled) io.serverSideEmit('recordsUpdated', collection, entries); // Keep other nodes' copies current
     } catch (error) {
-        console.error('Error saving leaderboard:', error);
+        console.error(`Error saving ${collection}:`, error);
     }
 }
 
-async function loadStats() {
-    try {
-        const data = await fs.readFile(STATS_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        for (const [key, value] of Object.entries(parsed)) {
-            gameStats.set(key, value);
-        }
-        console.log('Game stats loaded.');
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('Game stats file not found, starting fresh.');
-        } else {
-            console.error('Error loading game stats:', error);
-        }
-    }
+function saveLeaderboard(ids) {
+    return saveCollection('leaderboard', leaderboard, ids);
 }
 
-async function saveStats() {
-    try {
-        const data = JSON.stringify(Object.fromEntries(gameStats), null, 2);
-        await fs.writeFile(STATS_FILE, data, 'utf8');
-        console.log('Game stats saved.');
-    } catch (error) {
-        console.error('Error saving game stats:', error);
-    }
+function saveStats(ids) {
+    return saveCollection('stats', gameStats, ids);
+}
+
+function saveGameArchive(ids) {
+    return saveCollection('games', gameArchive, ids);
+}
+
+function saveAccounts(ids) {
+    return saveCollection('accounts', accounts, ids);
+}
+
+function saveTournaments(ids) {
+    return saveCollection('tournaments', tournaments, ids);
 }
 
+function findAccountByUsername(username) {
+    const wanted = String(username || '').toLowerCase();
+    for (const account of accounts.values()) {
+        if (account.username.toLowerCase() === wanted) return account;
+    }
+    return null;
+}
 
 // Othello Game Logic (Server-side)
+const DEFAULT_BOARD_SIZE = 8;
+
 class GameRoom {
-    constructor(id, hostSocketId, hostName, hostPieceShape, roomName = null, mode = 'online') {
+    constructor(id, hostSocketId, hostName, hostPieceShape, roomName = null, mode = 'online', hostAccountId = null) {
         this.id = id;
         this.roomName = roomName || id;
         this.gameMode = mode;
-        this.board = Array(8).fill(0).map(() => Array(8).fill(0));
+        this.boardSize = DEFAULT_BOARD_SIZE; // Any even size in LIMITS.boardSizes; call initializeBoard after changing it
+        this.variant = { ...variants.DEFAULT_VARIANT }; // See lib/variants.js; also needs initializeBoard after a change
+        this.handicapColor = null; // Seat that gets the handicap corners, see assignHandicap
+        this.board = [];
+        this.startBoard = null; // Position the current game started from
         this.currentPlayer = 1; // 1 for Black, 2 for White
         this.players = [
-            { id: hostSocketId, name: hostName, color: 1, connected: true, isHost: true, pieceShape: hostPieceShape }, // Host is black
+            { id: hostSocketId, accountId: hostAccountId, name: hostName, color: 1, connected: true, isHost: true, pieceShape: hostPieceShape }, // Host is black
         ];
         this.spectators = [];
         this.gameStarted = false;
@@ -126,40 +159,224 @@ class GameRoom {
         this.lastActivity = Date.now();
         this.chatMessages = [];
         this.moveHistory = [];
+        this.snapshots = []; // Position before each entry in moveHistory, for takebacks
+        this.pendingUndo = null;
+        this.undoCounts = { 1: 0, 2: 0 };
+        this.drawOffer = null; // { offererId, color } until answered or the next move
+        this.stateVersion = 0; // Bumped on every board change so stale timers can bail out
+        this.aiDifficulty = null;
+        this.visibility = 'public'; // 'unlisted' rooms are left out of getRoomList
+        this.passwordHash = null; // scrypt hash, never sent to clients
+        this.rated = true; // Casual games skip the rating update
+        this.hintBudget = 0; // Hints each player may take per game, set at creation
+        this.tournamentId = null;
+        this.timeControl = null; // { initialMs, incrementMs, perMoveMs } or null for untimed games
+        this.clock = null;
+        this.clockTimer = null;
         this.initializeBoard();
     }
 
+    // Seats the server-side AI as white. Only used for gameMode 'ai' rooms.
+    addAIPlayer(difficulty) {
+        this.aiDifficulty = ai.DIFFICULTY_SETTINGS[difficulty] ? difficulty : 'medium';
+        this.players.push({
+            id: `AI-${this.id}`,
+            accountId: `ai:${this.aiDifficulty}`, // One shared identity per level so each keeps a rating
+            name: ai.AI_NAMES[this.aiDifficulty],
+            color: 2,
+            connected: true,
+            isHost: false,
+            isAI: true,
+            pieceShape: '⚪'
+        });
+        this.lastActivity = Date.now();
+    }
+
+    getAIPlayer() {
+        return this.players.find(p => p.isAI) || null;
+    }
+
     initializeBoard() {
-        this.board = Array(8).fill(0).map(() => Array(8).fill(0));
-        this.board[3][3] = 1; // Black
-        this.board[3][4] = 2; // White
-        this.board[4][3] = 2; // White
-        this.board[4][4] = 1; // Black
-        this.scores = { 1: 2, 2: 2 };
+        this.setupStartPosition();
+        this.startBoard = this.board.map(row => row.slice());
         this.currentPlayer = 1; // Black starts
         this.gameStarted = false; // Reset game started status
         this.gameOver = false;
         this.winner = null;
         this.moveHistory = [];
+        this.snapshots = [];
+        this.pendingUndo = null;
+        this.undoCounts = { 1: 0, 2: 0 };
+        this.drawOffer = null;
+        this.hintsUsed = []; // { player, ply } for every hint taken this game
+        this.stateVersion++;
+        this.startedAt = Date.now();
+        this.endReason = null;
+        this.archived = false;
+        this.clock = this.timeControl ? new GameClock(this.timeControl) : null;
         this.lastActivity = Date.now();
     }
 
-    addPlayer(socketId, playerName, playerPieceShape) {
-        if (this.players.length < 2) {
-            // Check for reconnecting player
-            const existingPlayer = this.players.find(p => p.name === playerName && !p.connected);
-            if (existingPlayer) {
-                existingPlayer.id = socketId;
-                existingPlayer.connected = true;
-                existingPlayer.pieceShape = playerPieceShape; // Update piece shape on reconnect
-                this.lastActivity = Date.now();
-                return { success: true, reconnected: true };
+    // Builds the variant's start position. The random parts (opening moves,
+    // blocked squares) are redrawn if they leave black without a first move.
+    setupStartPosition() {
+        const size = this.boardSize;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            this.board = Array(size).fill(0).map(() => Array(size).fill(0));
+            // Centered opening discs, so on 8x8 transcripts like "f5d6c3" read
+            // the same as in every other Othello program
+            const opening = this.variant.opening === 'parallel' ? 'parallel' : 'standard';
+            for (const [r, c, color] of variants.getOpeningDiscs(opening, size)) {
+                this.board[r][c] = color;
+            }
+            if (this.variant.opening === 'random') this.playRandomOpening();
+            if (this.handicapColor) {
+                for (const [r, c] of variants.getHandicapCorners(size).slice(0, this.variant.handicap)) {
+                    this.board[r][c] = this.handicapColor;
+                }
+            }
+            this.placeBlockedSquares(this.variant.blockedSquares);
+            if (engine.hasValidMove(this.board, 1)) break;
+        }
+        this.updateScores();
+    }
+
+    // Random opening: a few random legal moves from the standard start, not
+    // part of moveHistory
+    playRandomOpening() {
+        let player = 1;
+        for (let i = 0; i < variants.RANDOM_OPENING_PLIES; i++) {
+            const moves = this.calculateValidMoves(player);
+            if (moves.length === 0) break;
+            const move = moves[Math.floor(Math.random() * moves.length)];
+            this.applyMove(move.r, move.c, player);
+            player = player === 1 ? 2 : 1;
+        }
+    }
+
+    placeBlockedSquares(count) {
+        const empty = [];
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
+                if (this.board[r][c] === 0) empty.push({ r, c });
             }
+        }
+        for (let i = 0; i < count && empty.length > 0; i++) {
+            const [square] = empty.splice(Math.floor(Math.random() * empty.length), 1);
+            this.board[square.r][square.c] = variants.BLOCKED;
+        }
+    }
+
+    getClockState() {
+        return this.clock ? this.clock.getState() : null;
+    }
+
+    // Plays a move for the current player (the caller has already checked it
+    // with isValidMove) and advances the turn, passing or ending the game when
+    // needed. Returns the moveHistory entry.
+    playMove(r, c) {
+        const player = this.currentPlayer;
+        this.saveSnapshot();
+        const piecesFlipped = this.applyMove(r, c, player);
+        this.updateScores();
+        const move = { player, row: r, col: c, flipped: piecesFlipped, opponentPassed: false, timestamp: Date.now() };
+        this.moveHistory.push(move);
+        this.pendingUndo = null; // A takeback request only covers the position it was made in
+        this.drawOffer = null; // Draw offers expire once the next move is played
+        this.stateVersion++;
+        this.lastActivity = Date.now();
+
+        // Without passing, the stuck opponent gets the turn and loses, see determineWinner
+        const turn = engine.getTurnAfterMove(this.board, player, { noPass: this.variant.noPass });
+        this.currentPlayer = turn.player;
+        move.opponentPassed = turn.passed; // Opponent has no moves, current player goes again
+        if (turn.gameOver) this.checkGameEnd();
+
+        if (this.clock) {
+            this.clock.press();
+            if (!this.gameOver) this.clock.start(this.currentPlayer);
+        }
+        return move;
+    }
+
+    // Rebuilds a game from parsed notation, validating every move against the
+    // rules with notation.replayMoves. Returns { success } or
+    // { success: false, index, reason }.
+    replayMoves(moves, startBoard = null, startPlayer = 1) {
+        if (startBoard) this.boardSize = startBoard.length;
+        this.initializeBoard();
+        if (startBoard) {
+            this.board = startBoard.map(row => row.slice());
+            this.startBoard = startBoard.map(row => row.slice());
+            this.currentPlayer = startPlayer;
+            this.updateScores();
+        }
+        this.gameStarted = true;
+
+        const replay = notation.replayMoves(moves, this.board, this.currentPlayer, { noPass: this.variant.noPass });
+        if (!replay.moves) return { success: false, index: replay.index, reason: replay.reason };
+        for (const move of replay.moves) {
+            this.currentPlayer = move.player; // Covers implicit passes from the start position
+            this.playMove(move.r, move.c);
+        }
+        return { success: true };
+    }
+
+    saveSnapshot() {
+        this.snapshots.push({
+            board: this.board.map(row => row.slice()),
+            currentPlayer: this.currentPlayer,
+            scores: { ...this.scores }
+        });
+    }
+
+    // Whether `color` has a move of its own on the board that could be taken back
+    canUndo(color) {
+        return this.gameStarted && !this.gameOver && this.moveHistory.some(m => m.player === color);
+    }
+
+    // Rewinds to the position before `color`'s most recent move, also removing
+    // any replies played after it. Returns the number of moves taken back.
+    undoMoves(color) {
+        let undone = 0;
+        while (this.snapshots.length > 0) {
+            const snapshot = this.snapshots.pop();
+            const move = this.moveHistory.pop();
+            this.board = snapshot.board;
+            this.currentPlayer = snapshot.currentPlayer;
+            this.scores = snapshot.scores;
+            undone++;
+            if (move.player === color) break;
+        }
+        // Time spent on the taken-back moves is not refunded
+        if (this.clock) {
+            this.clock.stop();
+            this.clock.start(this.currentPlayer);
+        }
+        this.pendingUndo = null;
+        this.drawOffer = null;
+        this.stateVersion++;
+        this.lastActivity = Date.now();
+        return undone;
+    }
+
+    addPlayer(socketId, accountId, playerName, playerPieceShape) {
+        // Check for reconnecting player (seats belong to accounts, not names)
+        const existingPlayer = this.players.find(p => p.accountId === accountId && !p.connected);
+        if (existingPlayer) {
+            existingPlayer.id = socketId;
+            existingPlayer.connected = true;
+            existingPlayer.pieceShape = playerPieceShape || existingPlayer.pieceShape; // Update piece shape on reconnect
+            this.lastActivity = Date.now();
+            return { success: true, reconnected: true };
+        }
 
+        if (this.players.length < 2) {
             // New player - add as white player
             const playerColor = 2; // Second player is always white
             this.players.push({
                 id: socketId,
+                accountId,
                 name: playerName,
                 color: playerColor,
                 connected: true,
@@ -169,7 +386,7 @@ class GameRoom {
             this.lastActivity = Date.now();
             return { success: true, reconnected: false };
         }
-        return { success: false, reason: 'Room is full' };
+        return { success: false, reason: 'Phòng đã đầy.' };
     }
 
     removePlayer(socketId) {
@@ -182,16 +399,83 @@ class GameRoom {
         return null;
     }
 
-    // Helper to get actual connected player count
+    addSpectator(socketId, name) {
+        if (this.spectators.some(s => s.id === socketId)) return false;
+        this.spectators.push({ id: socketId, name, joinedAt: Date.now() });
+        this.lastActivity = Date.now();
+        return true;
+    }
+
+    removeSpectator(socketId) {
+        const index = this.spectators.findIndex(s => s.id === socketId);
+        if (index === -1) return null;
+        return this.spectators.splice(index, 1)[0];
+    }
+
+    isSpectator(socketId) {
+        return this.spectators.some(s => s.id === socketId);
+    }
+
+    getHintsRemaining(color) {
+        return Math.max(0, this.hintBudget - this.hintsUsed.filter(hint => hint.player === color).length);
+    }
+
+    // A rated room still plays an unrated game once anyone has taken a hint
+    isRatedGame() {
+        return this.rated && this.hintsUsed.length === 0;
+    }
+
+    // Book name of the opening played so far, or null (8x8 standard games only)
+    getOpeningName() {
+        const opening = openings.identifyOpening(this.moveHistory, this.boardSize, this.variant);
+        return opening ? opening.name : null;
+    }
+
+    // Full snapshot for the `roomState` protocol message; emitRoomState adds
+    // the recipient's own seat
+    getHintState() {
+        return { budget: this.hintBudget, remaining: { 1: this.getHintsRemaining(1), 2: this.getHintsRemaining(2) } };
+    }
+
+    getRoomState() {
+        return {
+            roomId: this.id,
+            roomName: this.roomName,
+            gameMode: this.gameMode,
+            boardSize: this.boardSize,
+            variant: this.variant,
+            timeControl: formatTimeControl(this.timeControl),
+            rated: this.isRatedGame(),
+            hints: this.getHintState(),
+            board: this.board,
+            players: this.players,
+            spectators: this.spectators.map(s => s.name),
+            currentPlayer: this.currentPlayer,
+            scores: this.scores,
+            gameStarted: this.gameStarted,
+            gameOver: this.gameOver,
+            winner: this.winner,
+            endReason: this.endReason,
+            drawOffer: this.drawOffer ? { color: this.drawOffer.color } : null,
+            moveHistory: this.moveHistory,
+            opening: this.getOpeningName(),
+            chatMessages: this.chatMessages,
+            clock: this.getClockState(),
+            validMoves: this.gameStarted && !this.gameOver ? this.calculateValidMoves(this.currentPlayer) : []
+        };
+    }
+
+    // Helper to get actual connected player count (the AI seat never counts)
     getConnectedPlayerCount() {
-        return this.players.filter(p => p.connected).length;
+        return this.players.filter(p => p.connected && !p.isAI).length;
     }
 
     startGame() {
         if (this.players.length === 2) {
+            this.initializeBoard(); // Resets gameStarted, so it must run first
             this.gameStarted = true;
             this.gameOver = false;
-            this.initializeBoard();
+            if (this.clock) this.clock.start(this.currentPlayer);
             this.lastActivity = Date.now();
             console.log(`Game started in room ${this.id}`);
             return true;
@@ -208,117 +492,47 @@ class GameRoom {
         console.log(`Room ${this.id} game reset.`);
     }
 
+    // The rules themselves live in lib/engine.js, shared with the AI and
+    // the browser client
     calculateValidMoves(player) {
-        const validMoves = [];
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (this.board[r][c] === 0 && this.isValidMove(r, c, player)) {
-                    validMoves.push({ r, c });
-                }
-            }
-        }
-        return validMoves;
+        return engine.getValidMoves(this.board, player);
     }
 
     isValidMove(r, c, player) {
-        if (this.board[r][c] !== 0) return false;
-
-        const opponent = player === 1 ? 2 : 1;
-        let foundFlip = false;
-
-        for (let dr = -1; dr <= 1; dr++) {
-            for (let dc = -1; dc <= 1; dc++) {
-                if (dr === 0 && dc === 0) continue; // Skip current cell
-
-                let nr = r + dr;
-                let nc = c + dc;
-                let path = [];
-
-                // Traverse in direction (dr, dc) as long as we find opponent's pieces
-                while (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && this.board[nr][nc] === opponent) {
-                    path.push({ r: nr, c: nc });
-                    nr += dr;
-                    nc += dc;
-                }
-
-                // If we found opponent's pieces and then found our own piece, it's a valid flip
-                if (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && this.board[nr][nc] === player && path.length > 0) {
-                    foundFlip = true;
-                    break;
-                }
-            }
-            if (foundFlip) break;
-        }
-        return foundFlip;
+        return engine.isValidMove(this.board, r, c, player);
     }
 
+    // Returns the number of discs flipped
     applyMove(r, c, player) {
-        this.board[r][c] = player; // Place the new piece
-        const opponent = player === 1 ? 2 : 1;
-        let piecesFlipped = 0;
-
-        for (let dr = -1; dr <= 1; dr++) {
-            for (let dc = -1; dc <= 1; dc++) {
-                if (dr === 0 && dc === 0) continue;
-
-                let nr = r + dr;
-                let nc = c + dc;
-                let path = [];
-
-                while (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && this.board[nr][nc] === opponent) {
-                    path.push({ r: nr, c: nc });
-                    nr += dr;
-                    nc += dc;
-                }
-
-                if (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && this.board[nr][nc] === player && path.length > 0) {
-                    path.forEach(pos => {
-                        this.board[pos.r][pos.c] = player; // Flip pieces
-                        piecesFlipped++;
-                    });
-                }
-            }
-        }
+        const piecesFlipped = engine.getFlips(this.board, r, c, player).length;
+        this.board = engine.applyMove(this.board, r, c, player);
         return piecesFlipped;
     }
 
     updateScores() {
-        let blackScore = 0;
-        let whiteScore = 0;
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (this.board[r][c] === 1) blackScore++;
-                else if (this.board[r][c] === 2) whiteScore++;
-            }
-        }
-        this.scores = { 1: blackScore, 2: whiteScore };
+        this.scores = engine.getScores(this.board);
     }
 
-    checkGameEnd() {
-        const movesForCurrent = this.calculateValidMoves(this.currentPlayer);
-        const movesForOpponent = this.calculateValidMoves(this.currentPlayer === 1 ? 2 : 1);
+    isBoardFull() {
+        return engine.isBoardFull(this.board);
+    }
 
-        if (this.scores[1] + this.scores[2] === 64 || // Board is full
-            (movesForCurrent.length === 0 && movesForOpponent.length === 0) // No moves for both players
-        ) {
+    checkGameEnd() {
+        if (engine.isGameOver(this.board, this.currentPlayer, { noPass: this.variant.noPass })) {
             this.gameOver = true;
             this.determineWinner();
             return true;
         }
-
-        // If current player has no moves, switch turn.
-        // This is handled by the game logic after a move.
         return false;
     }
 
     determineWinner() {
-        if (this.scores[1] > this.scores[2]) {
-            this.winner = 1; // Black wins
-        } else if (this.scores[2] > this.scores[1]) {
-            this.winner = 2; // White wins
-        } else {
-            this.winner = 0; // Draw
+        // No-pass: a player left without a move on an unfilled board loses
+        if (this.variant.noPass && !this.isBoardFull() && !engine.hasValidMove(this.board, this.currentPlayer)) {
+            this.winner = this.currentPlayer === 1 ? 2 : 1;
+            return;
         }
+        this.winner = variants.winnerByDiscs(this.variant, this.scores); // 0 for a draw
     }
 
     addChatMessage(sender, message) {
@@ -328,6 +542,55 @@ class GameRoom {
             this.chatMessages.shift();
         }
     }
+
+    // Plain-object copy of everything needed to resume the game after a
+    // restart. Spectators and pending takeback requests are not kept.
+    toSnapshot() {
+        return {
+            id: this.id,
+            roomName: this.roomName,
+            gameMode: this.gameMode,
+            boardSize: this.boardSize,
+            variant: this.variant,
+            handicapColor: this.handicapColor,
+            board: this.board,
+            startBoard: this.startBoard,
+            currentPlayer: this.currentPlayer,
+            players: this.players,
+            gameStarted: this.gameStarted,
+            gameOver: this.gameOver,
+            winner: this.winner,
+            scores: this.scores,
+            chatMessages: this.chatMessages,
+            moveHistory: this.moveHistory,
+            snapshots: this.snapshots,
+            undoCounts: this.undoCounts,
+            aiDifficulty: this.aiDifficulty,
+            visibility: this.visibility,
+            passwordHash: this.passwordHash,
+            rated: this.rated,
+            hintBudget: this.hintBudget,
+            hintsUsed: this.hintsUsed,
+            tournamentId: this.tournamentId,
+            timeControl: this.timeControl,
+            clock: this.clock ? this.clock.serialize() : null,
+            startedAt: this.startedAt,
+            endReason: this.endReason,
+            archived: this.archived
+        };
+    }
+
+    // Human seats come back disconnected and wait for rejoinRoom; the clock
+    // stays stopped until they are all back (see reseatPlayer).
+    static fromSnapshot(data) {
+        const room = new GameRoom(data.id, null, null, null, data.roomName, data.gameMode);
+        const { clock, players, ...fields } = data;
+        Object.assign(room, fields);
+        room.players = players.map(p => (p.isAI ? p : { ...p, id: null, connected: false }));
+        room.clock = clock && room.timeControl ? GameClock.restore(room.timeControl, clock) : null;
+        room.lastActivity = Date.now();
+        return room;
+    }
 }
 
 // Utility functions
@@ -335,384 +598,1960 @@ function generateRoomId() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
-function getRoomList() {
-    return Array.from(rooms.values()).map(room => ({
+// Public rooms on this node
+function getLocalRoomList() {
+    return Array.from(rooms.values()).filter(room => room.visibility === 'public').map(room => ({
         id: room.id,
         name: room.roomName,
+        hasPassword: !!room.passwordHash,
         players: room.players.filter(p => p.connected).map(p => ({ name: p.name, color: p.color, pieceShape: p.pieceShape })),
         playerCount: room.getConnectedPlayerCount(),
+        spectatorCount: room.spectators.length,
+        gameMode: room.gameMode,
+        boardSize: room.boardSize,
+        variant: room.variant,
+        variantName: variants.describeVariant(room.variant),
+        timeControl: formatTimeControl(room.timeControl),
+        rated: room.rated,
         gameStarted: room.gameStarted,
         lastActivity: room.lastActivity
     }));
 }
 
-function updateLeaderboard(winnerName, loserName, isDraw) {
-    leaderboard.set(winnerName, {
-        wins: (leaderboard.get(winnerName)?.wins || 0) + (isDraw ? 0 : 1),
-        losses: (leaderboard.get(winnerName)?.losses || 0) + (isDraw ? 0 : 0),
-        draws: (leaderboard.get(winnerName)?.draws || 0) + (isDraw ? 1 : 0),
+// Public rooms across the cluster
+function getRoomList() {
+    const list = getLocalRoomList();
+    for (const [, state] of getLiveRemoteNodes()) list.push(...state.publicRooms);
+    return list;
+}
+
+function broadcastRoomList() {
+    publishNodeState();
+    io.emit(SERVER_EVENTS.UPDATE_ROOM_LIST, getRoomList());
+}
+
+// Players need this many finished games before they show up in the ranking
+const LEADERBOARD_MIN_GAMES = parseInt(process.env.LEADERBOARD_MIN_GAMES, 10) || 5;
+const MAX_RATING_HISTORY = 200;
+
+// Returns the leaderboard entry for an account, creating it (or filling in the
+// rating fields for entries saved before ratings existed) when needed.
+// Entries from before accounts existed are keyed by name and have no `name` field.
+function getLeaderboardEntry(accountId, name = null) {
+    if (!leaderboard.has(accountId)) {
+        leaderboard.set(accountId, { name: name || accountId, wins: 0, losses: 0, draws: 0 });
+    }
+    const entry = leaderboard.get(accountId);
+    if (name) entry.name = name;
+    if (entry.rating === undefined) {
+        Object.assign(entry, rating.createRating(), { ratingHistory: [] });
+    }
+    return entry;
+}
+
+function recordRating(entry, newRating, opponentEntry, result, gameId, reason) {
+    const before = entry.rating;
+    entry.rating = newRating.rating;
+    entry.rd = newRating.rd;
+    entry.volatility = newRating.volatility;
+    entry.ratingHistory.push({
+        timestamp: Date.now(),
+        rating: Math.round(newRating.rating),
+        rd: Math.round(newRating.rd),
+        change: Math.round(newRating.rating - before),
+        opponent: opponentEntry.name,
+        result,
+        reason,
+        gameId
     });
-    if (!isDraw) {
-        leaderboard.set(loserName, {
-            wins: (leaderboard.get(loserName)?.wins || 0) + 0,
-            losses: (leaderboard.get(loserName)?.losses || 0) + 1,
-            draws: (leaderboard.get(loserName)?.draws || 0) + 0,
-        });
+    if (entry.ratingHistory.length > MAX_RATING_HISTORY) {
+        entry.ratingHistory.shift();
+    }
+    return { name: entry.name, before: Math.round(before), after: Math.round(newRating.rating) };
+}
+
+// Records the result and updates both players' Glicko-2 ratings. `winnerPlayer`
+// and `loserPlayer` are room seats ({ accountId, name }); `reason` is how the
+// game ended (END_REASONS) and is kept in the rating history.
+// Returns { [accountId]: { name, before, after } } for the game record.
+function updateLeaderboard(winnerPlayer, loserPlayer, isDraw, gameId = null, reason = null) {
+    const winner = getLeaderboardEntry(winnerPlayer.accountId, winnerPlayer.name);
+    const loser = getLeaderboardEntry(loserPlayer.accountId, loserPlayer.name);
+
+    if (isDraw) {
+        winner.draws++;
+        loser.draws++;
     } else {
-        leaderboard.set(loserName, {
-            wins: (leaderboard.get(loserName)?.wins || 0) + 0,
-            losses: (leaderboard.get(loserName)?.losses || 0) + 0,
-            draws: (leaderboard.get(loserName)?.draws || 0) + 1,
-        });
+        winner.wins++;
+        loser.losses++;
     }
-    // Ensure players exist in leaderboard with initial stats if they just joined
-    [winnerName, loserName].forEach(name => {
-        if (!leaderboard.has(name)) {
-            leaderboard.set(name, { wins: 0, losses: 0, draws: 0 });
-        }
-    });
 
-    saveLeaderboard();
-}
+    const [winnerRating, loserRating] = rating.rateGame(winner, loser, isDraw ? 0.5 : 1);
+    const changes = {
+        [winnerPlayer.accountId]: recordRating(winner, winnerRating, loser, isDraw ? 'draw' : 'win', gameId, reason),
+        [loserPlayer.accountId]: recordRating(loser, loserRating, winner, isDraw ? 'draw' : 'loss', gameId, reason)
+    };
 
-function updatePlayerStats(playerName) {
-    const stats = gameStats.get(playerName) || { gamesPlayed: 0, totalMoves: 0, avgMoveTime: 0, maxScore: 0 };
-    stats.gamesPlayed++;
-    // Add logic to update totalMoves, avgMoveTime, maxScore later
-    gameStats.set(playerName, stats);
-    saveStats();
+    saveLeaderboard([winnerPlayer.accountId, loserPlayer.accountId]);
+    return changes;
 }
 
-// Socket.IO Connections
-io.on('connection', (socket) => {
-    console.log(`A user connected: ${socket.id}`);
+function getGamesPlayed(entry) {
+    return entry.wins + entry.losses + entry.draws;
+}
 
-    // Request room list on connection
-    socket.on('requestRoomList', () => {
-        socket.emit('updateRoomList', getRoomList());
-    });
+// Public view of the ranking: rated players only, best rating first
+function getSortedLeaderboard(minGames = LEADERBOARD_MIN_GAMES) {
+    return Array.from(leaderboard.keys())
+        .map(id => ({ id, entry: getLeaderboardEntry(id) }))
+        .filter(({ entry }) => getGamesPlayed(entry) >= minGames)
+        .sort((a, b) => b.entry.rating - a.entry.rating || a.entry.rd - b.entry.rd)
+        .map(({ id, entry }) => ({
+            id,
+            name: entry.name,
+            wins: entry.wins,
+            losses: entry.losses,
+            draws: entry.draws,
+            gamesPlayed: getGamesPlayed(entry),
+            rating: Math.round(entry.rating),
+            rd: Math.round(entry.rd)
+        }));
+}
 
-    // Request stats on connection
-    socket.on('requestStats', () => {
-        const sortedLeaderboard = Array.from(leaderboard.entries())
-            .map(([name, stats]) => ({ name, ...stats }))
-            .sort((a, b) => b.wins - a.wins || a.losses - b.losses || a.draws - b.draws); // Sort by wins (desc), then losses (asc), then draws (asc)
-
-        socket.emit('updateStats', {
-            totalOnlinePlayers: players.size,
-            leaderboard: sortedLeaderboard
-        });
+function broadcastStats() {
+    io.emit(SERVER_EVENTS.UPDATE_STATS, {
+        totalOnlinePlayers: getOnlinePlayerCount(),
+        leaderboard: getSortedLeaderboard()
     });
+}
 
+// Returns the stats totals for an account, creating them (or filling in fields
+// missing from older stats files) when needed. Averages are derived on read.
+function getStatsEntry(accountId, name = null) {
+    const defaults = {
+        name: name || accountId,
+        gamesPlayed: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        totalMoves: 0,
+        timedMoves: 0,
+        totalThinkTimeMs: 0,
+        maxScore: null,
+        minScore: null,
+        totalFlipped: 0,
+        cornerCaptures: 0,
+        passes: 0,
+        resignations: 0, // Games this player resigned
+        drawsAgreed: 0,
+        asBlack: { games: 0, wins: 0 },
+        asWhite: { games: 0, wins: 0 },
+        lastPlayedAt: null
+    };
+    const stats = { ...defaults, ...gameStats.get(accountId) };
+    delete stats.avgMoveTime; // Old files stored a never-updated average
+    if (name) stats.name = name;
+    gameStats.set(accountId, stats);
+    return stats;
+}
 
-    socket.on('createRoom', ({ playerName, playerPieceShape }) => {
-        const roomId = generateRoomId();
-        const room = new GameRoom(roomId, socket.id, playerName, playerPieceShape);
-        rooms.set(roomId, room);
-        socket.join(roomId);
-        players.set(socket.id, { roomId: roomId, name: playerName, pieceShape: playerPieceShape });
-        socket.emit('roomCreated', { roomId, playerColor: 1, board: room.board, players: room.players, scores: room.scores, chatMessages: room.chatMessages, playerPieceShape: playerPieceShape });
-        io.emit('updateRoomList', getRoomList());
-        console.log(`Room ${roomId} created by ${playerName} with piece ${playerPieceShape}`);
-        // Initialize leaderboard entry for host
-        if (!leaderboard.has(playerName)) {
-            leaderboard.set(playerName, { wins: 0, losses: 0, draws: 0 });
-            saveLeaderboard();
-        }
-        io.emit('updateStats', {
-            totalOnlinePlayers: players.size,
-            leaderboard: Array.from(leaderboard.entries()).map(([name, stats]) => ({ name, ...stats })).sort((a, b) => b.wins - a.wins)
-        });
-    });
+// Adds one finished game to `player`'s totals, reading moves, think times,
+// flips, corners and passes from the room's move stream.
+function updatePlayerStats(room, player) {
+    const stats = getStatsEntry(player.accountId, player.name);
+    const color = player.color;
+    const last = room.board.length - 1;
 
-    socket.on('joinRoom', ({ roomId, playerName, playerPieceShape }) => {
-        const room = rooms.get(roomId);
-        if (!room) {
-            socket.emit('joinRoomError', 'Phòng không tồn tại.');
-            return;
-        }
-
-        if (room.players.length >= 2) {
-            // Check for reconnection attempt by name
-            const existingPlayer = room.players.find(p => p.name === playerName);
-            if (existingPlayer && !existingPlayer.connected) {
-                const { success, reconnected } = room.addPlayer(socket.id, playerName, playerPieceShape);
-                if (success && reconnected) {
-                    socket.join(roomId);
-                    players.set(socket.id, { roomId: roomId, name: playerName, pieceShape: playerPieceShape });
-                    // Re-send room state for reconnected player
-                    socket.emit('roomJoined', { roomId, playerColor: existingPlayer.color, board: room.board, players: room.players, scores: room.scores, chatMessages: room.chatMessages, gameStarted: room.gameStarted, playerPieceShape: playerPieceShape });
-                    io.to(roomId).emit('playerJoined', room.players); // Notify others in room
-                    io.emit('updateRoomList', getRoomList());
-                    console.log(`Player ${playerName} reconnected to room ${roomId} with piece ${playerPieceShape}`);
-                    if (room.gameStarted) {
-                        io.to(roomId).emit('gameStarted', {
-                            currentPlayer: room.currentPlayer,
-                            board: room.board,
-                            scores: room.scores,
-                            validMoves: room.calculateValidMoves(room.currentPlayer)
-                        });
-                    }
-                    io.emit('updateStats', {
-                        totalOnlinePlayers: players.size,
-                        leaderboard: Array.from(leaderboard.entries()).map(([name, stats]) => ({ name, ...stats })).sort((a, b) => b.wins - a.wins)
-                    });
-                    return;
-                }
+    stats.gamesPlayed++;
+    if (room.winner === 0) stats.draws++;
+    else if (room.winner === color) stats.wins++;
+    else stats.losses++;
+    if (room.endReason === END_REASONS.RESIGNATION && room.winner !== color) stats.resignations++;
+    if (room.endReason === END_REASONS.DRAW_AGREED) stats.drawsAgreed++;
+
+    const byColor = color === 1 ? stats.asBlack : stats.asWhite;
+    byColor.games++;
+    if (room.winner === color) byColor.wins++;
+
+    const score = room.scores[color];
+    stats.maxScore = stats.maxScore === null ? score : Math.max(stats.maxScore, score);
+    stats.minScore = stats.minScore === null ? score : Math.min(stats.minScore, score);
+
+    // Think time is measured from the previous move (or the start of the game)
+    let previousTimestamp = room.startedAt;
+    for (const move of room.moveHistory) {
+        if (move.player === color) {
+            stats.totalMoves++;
+            stats.totalFlipped += move.flipped;
+            if ((move.row === 0 || move.row === last) && (move.col === 0 || move.col === last)) {
+                stats.cornerCaptures++;
             }
-            socket.emit('joinRoomError', 'Phòng đã đầy.');
-            return;
+            if (move.timestamp && previousTimestamp) {
+                stats.timedMoves++;
+                stats.totalThinkTimeMs += move.timestamp - previousTimestamp;
+            }
+        } else if (move.opponentPassed) {
+            stats.passes++; // The opponent moved again because this player could not
         }
+        previousTimestamp = move.timestamp;
+    }
 
-        // Add new player to room
-        const { success, reconnected } = room.addPlayer(socket.id, playerName, playerPieceShape);
-        if (success && !reconnected) {
-            socket.join(roomId);
-            players.set(socket.id, { roomId: roomId, name: playerName, pieceShape: playerPieceShape });
-            const joinedPlayer = room.players.find(p => p.id === socket.id);
-            socket.emit('roomJoined', { roomId, playerColor: joinedPlayer.color, board: room.board, players: room.players, scores: room.scores, chatMessages: room.chatMessages, gameStarted: room.gameStarted, playerPieceShape: playerPieceShape });
-            io.to(roomId).emit('playerJoined', room.players); // Notify others in room
-            io.emit('updateRoomList', getRoomList());
-            console.log(`Player ${playerName} joined room ${roomId} with piece ${playerPieceShape}`);
-
-            // Initialize leaderboard entry for new player
-            if (!leaderboard.has(playerName)) {
-                leaderboard.set(playerName, { wins: 0, losses: 0, draws: 0 });
-                saveLeaderboard();
-            }
+    stats.lastPlayedAt = Date.now();
+}
 
-            if (room.players.length === 2) {
-                room.startGame();
-                const validMoves = room.calculateValidMoves(room.currentPlayer);
-                io.to(roomId).emit('gameStarted', {
-                    currentPlayer: room.currentPlayer,
-                    board: room.board,
-                    scores: room.scores,
-                    validMoves: validMoves
-                });
-                console.log(`Game started in room ${roomId} with players: ${room.players.map(p => p.name).join(', ')}`);
-            }
-        } else if (!success) {
-            socket.emit('joinRoomError', room.reason);
+// Stats as served to clients, with averages and per-color win rates
+function summarizePlayerStats(stats) {
+    const rate = (wins, games) => (games > 0 ? Math.round((wins / games) * 1000) / 10 : null);
+    return {
+        gamesPlayed: stats.gamesPlayed,
+        wins: stats.wins,
+        losses: stats.losses,
+        draws: stats.draws,
+        totalMoves: stats.totalMoves,
+        avgMovesPerGame: stats.gamesPlayed > 0 ? Math.round((stats.totalMoves / stats.gamesPlayed) * 10) / 10 : 0,
+        avgThinkTimeMs: stats.timedMoves > 0 ? Math.round(stats.totalThinkTimeMs / stats.timedMoves) : null,
+        bestScore: stats.maxScore,
+        worstScore: stats.minScore,
+        avgDiscsFlipped: stats.totalMoves > 0 ? Math.round((stats.totalFlipped / stats.totalMoves) * 100) / 100 : 0,
+        cornerCaptures: stats.cornerCaptures,
+        passes: stats.passes,
+        resignations: stats.resignations,
+        drawsAgreed: stats.drawsAgreed,
+        winRate: rate(stats.wins, stats.gamesPlayed),
+        winRateAsBlack: rate(stats.asBlack.wins, stats.asBlack.games),
+        winRateAsWhite: rate(stats.asWhite.wins, stats.asWhite.games),
+        gamesAsBlack: stats.asBlack.games,
+        gamesAsWhite: stats.asWhite.games,
+        lastPlayedAt: stats.lastPlayedAt
+    };
+}
+
+// Single exit point for a finished game: announces the result, updates the
+// leaderboard and archives the game. `winnerColor` overrides the board result
+// for games that end early (disconnect, resignation); 0 is a draw.
+function endGame(room, reason, winnerColor = null) {
+    room.gameOver = true;
+    if (winnerColor !== null) {
+        room.winner = winnerColor;
+    } else if (room.winner === null) {
+        room.determineWinner();
+    }
+    room.endReason = reason;
+    room.pendingUndo = null;
+    room.drawOffer = null;
+    if (room.clock) room.clock.stop();
+    clearTimeout(room.clockTimer);
+
+    const gameId = crypto.randomUUID();
+    const black = room.players.find(p => p.color === 1);
+    const white = room.players.find(p => p.color === 2);
+    let ratingChanges = null;
+    if (black && white && room.isRatedGame()) {
+        if (room.winner === 0) {
+            ratingChanges = updateLeaderboard(black, white, true, gameId, reason);
+        } else {
+            const [winner, loser] = room.winner === 1 ? [black, white] : [white, black];
+            ratingChanges = updateLeaderboard(winner, loser, false, gameId, reason);
         }
-        io.emit('updateStats', {
-            totalOnlinePlayers: players.size,
-            leaderboard: Array.from(leaderboard.entries()).map(([name, stats]) => ({ name, ...stats })).sort((a, b) => b.wins - a.wins)
-        });
+    }
+    room.players.forEach(player => updatePlayerStats(room, player));
+    saveStats(room.players.map(player => player.accountId));
+    io.to(room.id).emit(SERVER_EVENTS.GAME_END, { gameId, winner: room.winner, scores: room.scores, reason, ratingChanges, clock: room.getClockState() });
+
+    archiveGame(room, gameId, ratingChanges);
+    if (room.tournamentId) recordTournamentResult(room, gameId);
+    broadcastStats();
+    console.log(`Game ended in room ${room.id} (${reason}). Winner: ${room.winner}`);
+}
+
+function archiveGame(room, gameId, ratingChanges = null) {
+    if (room.archived) return null;
+    room.archived = true;
+
+    const endedAt = Date.now();
+    const record = {
+        id: gameId,
+        roomId: room.id,
+        gameMode: room.gameMode,
+        boardSize: room.boardSize,
+        variant: room.variant,
+        startBoard: room.startBoard,
+        timeControl: formatTimeControl(room.timeControl),
+        rated: room.isRatedGame(),
+        hints: { budget: room.hintBudget, used: room.hintsUsed },
+        players: room.players.map(p => ({
+            accountId: p.accountId,
+            name: p.name,
+            color: p.color,
+            pieceShape: p.pieceShape,
+            isAI: !!p.isAI
+        })),
+        moves: room.moveHistory.map(m => ({
+            player: m.player,
+            row: m.row,
+            col: m.col,
+            flipped: m.flipped,
+            opponentPassed: m.opponentPassed,
+            timestamp: m.timestamp
+        })),
+        transcript: notation.toTranscript(room.moveHistory),
+        opening: room.getOpeningName(),
+        finalScore: { black: room.scores[1], white: room.scores[2] },
+        winner: room.winner,
+        winnerName: room.players.find(p => p.color === room.winner)?.name || null,
+        endReason: room.endReason,
+        ratingChanges,
+        startedAt: room.startedAt,
+        endedAt,
+        durationMs: endedAt - room.startedAt
+    };
+    gameArchive.set(record.id, record);
+    saveGameArchive([record.id]);
+    return record;
+}
+
+function summarizeArchivedGame(record) {
+    const { moves, analysis: gameAnalysis, ...summary } = record;
+    return { ...summary, moveCount: moves.length, analyzed: !!gameAnalysis };
+}
+
+// Applies a validated move for the current player, advances the turn
+// (handling passes and game end) and broadcasts the result to the room.
+function processMove(room, row, col) {
+    const roomId = room.id;
+    if (handleFlagFall(room)) return; // The move arrived after the mover's time ran out
+    const move = room.playMove(row, col);
+
+    if (room.gameOver) {
+        endGame(room, END_REASONS.NORMAL);
+    } else if (move.opponentPassed) {
+        const passedPlayer = move.player === 1 ? 2 : 1;
+        io.to(roomId).emit(SERVER_EVENTS.NO_MOVES_LEFT, { currentPlayer: passedPlayer, scores: room.scores, board: room.board });
+        console.log(`Player ${passedPlayer} has no moves. ${move.player} plays again.`);
+    }
+
+    // Emit game update to all players in the room
+    io.to(roomId).emit(SERVER_EVENTS.GAME_UPDATE, {
+        board: room.board,
+        currentPlayer: room.currentPlayer,
+        scores: room.scores,
+        validMoves: room.calculateValidMoves(room.currentPlayer),
+        opening: room.getOpeningName(),
+        clock: room.getClockState()
     });
 
-    // Rejoin Room logic (for page refresh/browser tab close)
-    socket.on('rejoinRoom', ({ roomId, playerName }) => {
-        const room = rooms.get(roomId);
-        if (room) {
-            const existingPlayer = room.players.find(p => p.name === playerName);
-            if (existingPlayer && !existingPlayer.connected) {
-                // Ensure playerPieceShape is also passed or retrieved if needed for display
-                const { success, reconnected } = room.addPlayer(socket.id, playerName, existingPlayer.pieceShape); // Use existing pieceShape
-                if (success && reconnected) {
-                    socket.join(roomId);
-                    players.set(socket.id, { roomId: roomId, name: playerName, pieceShape: existingPlayer.pieceShape });
-                    socket.emit('roomJoined', { roomId, playerColor: existingPlayer.color, board: room.board, players: room.players, scores: room.scores, chatMessages: room.chatMessages, gameStarted: room.gameStarted, playerPieceShape: existingPlayer.pieceShape });
-                    io.to(roomId).emit('playerJoined', room.players);
-                    io.emit('updateRoomList', getRoomList());
-                    console.log(`Player ${playerName} reconnected to room ${roomId}`);
-                    if (room.gameStarted) {
-                        io.to(roomId).emit('gameStarted', {
-                            currentPlayer: room.currentPlayer,
-                            board: room.board,
-                            scores: room.scores,
-                            validMoves: room.calculateValidMoves(room.currentPlayer)
-                        });
-                    }
-                    io.emit('updateStats', {
-                        totalOnlinePlayers: players.size,
-                        leaderboard: Array.from(leaderboard.entries()).map(([name, stats]) => ({ name, ...stats })).sort((a, b) => b.wins - a.wins)
-                    });
-                    return;
-                }
-            }
-        }
-        socket.emit('roomNotFound', 'Không thể tham gia lại phòng. Phòng không tồn tại hoặc đã đầy.');
+    scheduleClockTimeout(room);
+    scheduleAIMove(room);
+}
+
+function emitGameStarted(room) {
+    io.to(room.id).emit(SERVER_EVENTS.GAME_STARTED, {
+        currentPlayer: room.currentPlayer,
+        board: room.board,
+        scores: room.scores,
+        validMoves: room.calculateValidMoves(room.currentPlayer),
+        opening: room.getOpeningName(),
+        clock: room.getClockState(),
+        hints: room.getHintState() // Also sent when a player rejoins mid-game
     });
+    scheduleClockTimeout(room);
+    scheduleAIMove(room);
+}
 
+// Ends the game if the side to move has run out of time. Returns true if it did.
+function handleFlagFall(room) {
+    if (!room.clock || !room.gameStarted || room.gameOver) return false;
+    const flagged = room.clock.getFlaggedColor();
+    if (flagged === null) return false;
+
+    const loser = room.players.find(p => p.color === flagged);
+    const message = `${loser ? loser.name : 'Người chơi'} đã hết thời gian.`;
+    room.addChatMessage('System', message);
+    io.to(room.id).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+    endGame(room, END_REASONS.TIMEOUT, flagged === 1 ? 2 : 1);
+    return true;
+}
 
-    socket.on('makeMove', ({ roomId, row, col }) => {
-        const room = rooms.get(roomId);
-        if (!room || !room.gameStarted || room.gameOver) {
-            socket.emit('invalidMove', 'Trò chơi chưa bắt đầu hoặc đã kết thúc.');
-            return;
-        }
+// Arms a timer for the moment the side to move would flag. Replaces any
+// earlier timer, so it is re-armed after every move, takeback and restart.
+function scheduleClockTimeout(room) {
+    clearTimeout(room.clockTimer);
+    room.clockTimer = null;
+    if (!room.clock || !room.clock.isRunning() || !room.gameStarted || room.gameOver) return;
+
+    const delay = room.clock.timeLeft(room.clock.activeColor);
+    room.clockTimer = setTimeout(() => {
+        if (rooms.get(room.id) !== room) return;
+        if (!handleFlagFall(room)) scheduleClockTimeout(room); // Fired a little early
+    }, delay + 20);
+}
 
-        const playerInfo = room.players.find(p => p.id === socket.id);
-        if (!playerInfo || playerInfo.color !== room.currentPlayer) {
-            socket.emit('invalidMove', 'Không phải lượt của bạn!');
-            return;
-        }
-
-        if (room.isValidMove(row, col, room.currentPlayer)) {
-            const piecesFlipped = room.applyMove(row, col, room.currentPlayer);
-            room.updateScores();
-            room.moveHistory.push({ player: room.currentPlayer, row, col, flipped: piecesFlipped });
-            room.lastActivity = Date.now();
-
-            let nextPlayer = room.currentPlayer === 1 ? 2 : 1;
-            let movesForNextPlayer = room.calculateValidMoves(nextPlayer);
-
-            if (movesForNextPlayer.length === 0) {
-                // Next player has no moves, check if current player has moves
-                const movesForCurrentPlayer = room.calculateValidMoves(room.currentPlayer);
-                if (movesForCurrentPlayer.length === 0) {
-                    // Both players have no moves, game ends
-                    room.checkGameEnd();
-                    io.to(roomId).emit('gameEnd', { winner: room.winner, scores: room.scores });
-                    if (room.winner !== null) {
-                        const winnerName = room.players.find(p => p.color === room.winner)?.name;
-                        const loserName = room.players.find(p => p.color !== room.winner)?.name;
-                        if (winnerName && loserName) {
-                            updateLeaderboard(winnerName, loserName, room.winner === 0);
-                        }
-                    }
-                    console.log(`Game ended in room ${roomId}. Winner: ${room.winner}`);
-                } else {
-                    // Current player gets another turn (opponent has no moves)
-                    io.to(roomId).emit('noMovesLeft', { currentPlayer: nextPlayer, scores: room.scores, board: room.board });
-                    console.log(`Player ${nextPlayer} has no moves. ${room.currentPlayer} plays again.`);
-                    // currentPlayer remains the same
-                }
-            } else {
-                room.currentPlayer = nextPlayer; // Switch turn normally
-            }
+// In 'ai' rooms, lets the engine answer when it is the AI's turn. The short
+// delay keeps the human's move visible before the reply lands.
+const AI_MOVE_DELAY_MS = 400;
 
-            // Emit game update to all players in the room
-            io.to(roomId).emit('gameUpdate', {
-                board: room.board,
-                currentPlayer: room.currentPlayer,
-                scores: room.scores,
-                validMoves: room.calculateValidMoves(room.currentPlayer)
-            });
+// A human who walks away from a running AI game forfeits it, so the game is
+// still archived and counted before the room goes away
+function endAbandonedAIGame(room) {
+    const aiPlayer = room.getAIPlayer();
+    if (aiPlayer && room.gameStarted && !room.gameOver) {
+        endGame(room, END_REASONS.DISCONNECT, aiPlayer.color);
+    }
+}
 
-        } else {
-            socket.emit('invalidMove', 'Nước đi không hợp lệ!');
+// How long a dropped player's seat is held, on this node or another, before
+// the game is forfeited; also how long an empty room is kept
+const DISCONNECT_GRACE_MS = parseInt(process.env.DISCONNECT_GRACE_MS, 10) || 60 * 1000;
+
+const forfeitTimers = new WeakMap(); // Seated player -> pending forfeit timer
+
+// Forfeits the game if `player` has not reconnected when the grace period
+// ends. When both players dropped, the one who left first loses. Dropping
+// again after a reconnect starts a fresh grace period.
+function scheduleDisconnectForfeit(room, player) {
+    const startedAt = room.startedAt;
+    clearTimeout(forfeitTimers.get(player));
+    forfeitTimers.set(player, setTimeout(() => {
+        if (rooms.get(room.id) !== room || !room.gameStarted || room.gameOver ||
+            room.startedAt !== startedAt || player.connected) {
+            return;
         }
-    });
+        const opponent = room.players.find(p => p.color !== player.color);
+        endGame(room, END_REASONS.DISCONNECT, opponent.color);
+        console.log(`Game in room ${room.id} ended: ${player.name} did not reconnect in time.`);
+    }, DISCONNECT_GRACE_MS));
+}
 
-    socket.on('chatMessage', ({ roomId, message }) => {
-        const room = rooms.get(roomId);
-        const player = players.get(socket.id);
-        if (room && player) {
-            room.addChatMessage(player.name, message);
-            io.to(roomId).emit('chatMessage', { sender: player.name, message, timestamp: Date.now() });
-            room.lastActivity = Date.now();
-        }
-    });
+function scheduleAIMove(room) {
+    const aiPlayer = room.getAIPlayer();
+    if (!aiPlayer || !room.gameStarted || room.gameOver || room.currentPlayer !== aiPlayer.color) return;
 
-    socket.on('resetGame', ({ roomId }) => {
-        const room = rooms.get(roomId);
-        if (room) {
-            const playerInfo = room.players.find(p => p.id === socket.id);
-            if (playerInfo && playerInfo.isHost) {
-                room.resetGame();
-                io.to(roomId).emit('gameStarted', {
-                    currentPlayer: room.currentPlayer,
-                    board: room.board,
-                    scores: room.scores,
-                    validMoves: room.calculateValidMoves(room.currentPlayer)
-                });
-                io.to(roomId).emit('chatMessage', { sender: 'System', message: 'Trò chơi đã được chủ phòng khởi động lại!', timestamp: Date.now() });
-                console.log(`Game in room ${roomId} reset by host.`);
-            } else {
-                socket.emit('error', 'Chỉ chủ phòng mới có thể reset trò chơi.');
-            }
+    const version = room.stateVersion;
+    setTimeout(() => {
+        // Skip if the room was removed, reset, rewound or already moved on in the meantime
+        if (rooms.get(room.id) !== room || room.gameOver || !room.gameStarted ||
+            room.stateVersion !== version || room.currentPlayer !== aiPlayer.color) {
+            return;
         }
-    });
+        const result = ai.findBestMove(room.board, aiPlayer.color, getAISearchOptions(room, aiPlayer.color));
+        if (!result) return;
+        const source = result.book ? 'book' : `depth ${result.depth}, ${result.nodes} nodes, ${result.timeMs}ms`;
+        console.log(`AI (${room.aiDifficulty}) in room ${room.id} played ${result.move.r},${result.move.c} (${source})`);
+        processMove(room, result.move.r, result.move.c);
+    }, AI_MOVE_DELAY_MS);
+}
+
+// Private rooms: true when the room has no password or `password` matches it
+async function checkRoomPassword(room, password) {
+    if (!room.passwordHash) return true;
+    try {
+        return await auth.verifyPassword(password, room.passwordHash);
+    } catch (error) {
+        console.error('Error verifying room password:', error);
+        return false;
+    }
+}
 
+// Open (unfinished) rooms an account may have at once, so createRoom cannot be spammed
+const MAX_OPEN_ROOMS_PER_ACCOUNT = 3;
 
-    socket.on('leaveRoom', ({ roomId }) => {
-        const room = rooms.get(roomId);
-        if (room) {
-            const playerLeft = room.removePlayer(socket.id);
-            if (playerLeft) {
-                players.delete(socket.id);
-                socket.leave(roomId);
-                io.to(roomId).emit('playerLeft', room.players);
-                io.emit('updateRoomList', getRoomList());
-                console.log(`Player ${playerLeft.name} left room ${roomId}.`);
-                if (room.getConnectedPlayerCount() === 0) {
-                    rooms.delete(roomId);
-                    console.log(`Room ${roomId} is empty and has been removed.`);
-                } else if (room.getConnectedPlayerCount() === 1 && room.gameStarted) {
-                    // If one player leaves in a 2-player game, end the game
-                    room.gameOver = true;
-                    room.winner = room.players.find(p => p.connected)?.color; // The remaining player wins
-                    io.to(roomId).emit('gameEnd', { winner: room.winner, scores: room.scores });
-                    const winnerName = room.players.find(p => p.color === room.winner)?.name;
-                    const loserName = playerLeft.name;
-                    if (winnerName && loserName) {
-                        updateLeaderboard(winnerName, loserName, false); // Not a draw
-                    }
-                    console.log(`Game in room ${roomId} ended due to player leaving. Winner: ${winnerName}`);
-                }
-            }
+function countOpenRooms(accountId) {
+    return Array.from(rooms.values())
+        .filter(room => !room.gameOver && room.players.some(p => p.accountId === accountId && p.connected))
+        .length;
+}
+
+// Quick play: pairs queued players, then creates and starts their room
+const MATCHMAKING_INTERVAL_MS = 2000;
+
+function runMatchmaking() {
+    for (const match of matchmaking.findMatches()) {
+        const sockets = match.players.map(entry => io.sockets.sockets.get(entry.socketId));
+        if (sockets.some(s => !s)) {
+            // Someone left without the disconnect handler catching it; requeue the rest
+            match.players.forEach((entry, i) => { if (sockets[i]) matchmaking.add(entry, entry.joinedAt); });
+            continue;
         }
-        io.emit('updateStats', {
-            totalOnlinePlayers: players.size,
-            leaderboard: Array.from(leaderboard.entries()).map(([name, stats]) => ({ name, ...stats })).sort((a, b) => b.wins - a.wins)
+        startMatch(match, sockets);
+    }
+}
+
+function startMatch(match, sockets) {
+    const order = Math.random() < 0.5 ? [0, 1] : [1, 0]; // Random colors
+    const [black, white] = order.map(i => match.players[i]);
+    const roomId = generateRoomId();
+    const room = new GameRoom(roomId, black.socketId, black.name, black.pieceShape, null, 'online', black.accountId);
+    room.timeControl = match.timeControl;
+    room.rated = match.rated;
+    room.initializeBoard(); // Picks up the clock
+    room.addPlayer(white.socketId, white.accountId, white.name, white.pieceShape);
+    rooms.set(roomId, room);
+    room.startGame();
+
+    order.forEach((playerIndex, seat) => {
+        const entry = match.players[playerIndex];
+        const opponent = match.players[1 - playerIndex];
+        leaveCurrentRoom(sockets[playerIndex]); // A finished game or a room being watched
+        sockets[playerIndex].join(roomId);
+        players.set(entry.socketId, { roomId, accountId: entry.accountId, name: entry.name, pieceShape: entry.pieceShape });
+        sockets[playerIndex].emit(SERVER_EVENTS.MATCH_FOUND, {
+            roomId,
+            playerColor: seat + 1,
+            opponent: { name: opponent.name, rating: Math.round(opponent.rating) },
+            board: room.board,
+            players: room.players,
+            scores: room.scores,
+            chatMessages: room.chatMessages,
+            timeControl: formatTimeControl(room.timeControl),
+            rated: room.rated
         });
+        emitRoomState(sockets[playerIndex], room);
     });
 
-    socket.on('disconnect', () => {
-        console.log(`User disconnected: ${socket.id}`);
-        const player = players.get(socket.id);
-        if (player) {
-            players.delete(socket.id); // Remove from global players map
+    emitGameStarted(room);
+    broadcastRoomList();
+    broadcastStats();
+    console.log(`Matched ${black.name} (black) vs ${white.name} (white) in room ${roomId}`);
+}
 
-            const room = rooms.get(player.roomId);
-            if (room) {
-                const disconnectedPlayer = room.removePlayer(socket.id); // Mark as disconnected in room
-                io.to(room.id).emit('playerLeft', room.players); // Notify others in the room
-                io.emit('updateRoomList', getRoomList());
+// Sends the full room snapshot to one socket, with its own seat (null for
+// spectators). Follows every roomCreated, roomJoined, spectateJoined and
+// matchFound, and answers requestRoomState.
+function emitRoomState(socket, room) {
+    const seat = room.players.find(p => p.id === socket.id);
+    socket.emit(SERVER_EVENTS.ROOM_STATE, { ...room.getRoomState(), playerColor: seat ? seat.color : null });
+}
 
-                console.log(`Player ${disconnectedPlayer.name} disconnected from room ${room.id}.`);
+// roomState to everyone in the room, e.g. when a reset sends it back to the lobby
+function broadcastRoomState(room) {
+    const state = room.getRoomState();
+    for (const player of room.players) {
+        if (player.connected && !player.isAI) io.to(player.id).emit(SERVER_EVENTS.ROOM_STATE, { ...state, playerColor: player.color });
+    }
+    for (const spectator of room.spectators) {
+        io.to(spectator.id).emit(SERVER_EVENTS.ROOM_STATE, { ...state, playerColor: null });
+    }
+}
 
-                // If only one player is left and game was active, end the game for that room
-                if (room.getConnectedPlayerCount() === 1 && room.gameStarted) {
-                    room.gameOver = true;
-                    room.winner = room.players.find(p => p.connected)?.color; // The remaining player wins
-                    io.to(room.id).emit('gameEnd', { winner: room.winner, scores: room.scores });
-                    const winnerName = room.players.find(p => p.color === room.winner)?.name;
-                    const loserName = disconnectedPlayer.name;
-                    if (winnerName && loserName) {
-                        updateLeaderboard(winnerName, loserName, false); // Not a draw
-                    }
-                    console.log(`Game in room ${room.id} ended due to disconnection. Winner: ${winnerName}`);
+function leaveCurrentRoom(socket) {
+    const previous = players.get(socket.id);
+    const room = previous && rooms.get(previous.roomId);
+    if (!room) return;
+    socket.leave(room.id);
+    if (previous.isSpectator) {
+        room.removeSpectator(socket.id);
+        io.to(room.id).emit(SERVER_EVENTS.SPECTATORS_UPDATE, { spectators: room.spectators.map(s => s.name) });
+    } else {
+        room.removePlayer(socket.id);
+        io.to(room.id).emit(SERVER_EVENTS.PLAYER_LEFT, room.players);
+    }
+}
+
+setInterval(() => {
+    if (matchmaking.size > 1) runMatchmaking();
+}, MATCHMAKING_INTERVAL_MS);
+
+// Tournaments: every pairing is played in an ordinary GameRoom tagged with
+// the tournament id. Both seats start empty and the game begins once both
+// players have joined; endGame reports the result back here. A pairing that
+// has not started TOURNAMENT_NO_SHOW_MS after its room opened goes to the
+// player who turned up, or to neither, so one absent player can't stall the
+// tournament.
+const TOURNAMENT_NO_SHOW_MS = parseInt(process.env.TOURNAMENT_NO_SHOW_MS, 10) || 10 * 60 * 1000;
+const NO_SHOW_CHECK_INTERVAL_MS = 15 * 1000;
+
+function getTournamentDetails(t) {
+    return {
+        ...tournament.summarizeTournament(t),
+        createdBy: t.createdBy,
+        startedAt: t.startedAt,
+        finishedAt: t.finishedAt,
+        players: t.players,
+        rounds: t.rounds,
+        standings: tournament.computeStandings(t)
+    };
+}
+
+function getTournamentList() {
+    return Array.from(tournaments.values())
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(tournament.summarizeTournament);
+}
+
+function emitTournamentUpdate(t) {
+    io.to(`tournament:${t.id}`).emit(SERVER_EVENTS.TOURNAMENT_UPDATE, getTournamentDetails(t));
+    io.emit(SERVER_EVENTS.TOURNAMENT_LIST, getTournamentList());
+}
+
+// Sends an event to every socket signed in as `accountId`
+function emitToAccount(accountId, event, payload) {
+    io.to(`account:${accountId}`).emit(event, payload);
+}
+
+function createTournamentRoom(t, round, pairing) {
+    const black = t.players.find(p => p.accountId === pairing.black);
+    const white = t.players.find(p => p.accountId === pairing.white);
+    const roomId = generateRoomId();
+    const room = new GameRoom(roomId, null, black.name, '⚫', `${t.name} - Vòng ${round.number}`, 'online', black.accountId);
+    room.tournamentId = t.id;
+    room.timeControl = parseTimeControl(t.timeControl);
+    room.initializeBoard(); // Picks up the clock
+    room.addPlayer(null, white.accountId, white.name, '⚪');
+    room.players.forEach(p => { p.connected = false; }); // Seats wait for their accounts
+    rooms.set(roomId, room);
+    pairing.roomId = roomId;
+    pairing.deadline = Date.now() + TOURNAMENT_NO_SHOW_MS;
+
+    for (const [me, opponent, color] of [[black, white, 1], [white, black, 2]]) {
+        emitToAccount(me.accountId, SERVER_EVENTS.TOURNAMENT_GAME_READY, {
+            tournamentId: t.id,
+            tournamentName: t.name,
+            round: round.number,
+            roomId,
+            playerColor: color,
+            opponent: opponent.name
+        });
+    }
+    return room;
+}
+
+// Creates rooms for unplayed pairings of the current round that have none
+// (a new round, or rooms lost in a restart)
+function openRoundRooms(t) {
+    const round = tournament.getCurrentRound(t);
+    if (!round || t.status !== 'running') return;
+    for (const pairing of round.pairings) {
+        if (pairing.result === null && !rooms.has(pairing.roomId)) {
+            createTournamentRoom(t, round, pairing);
+        }
+    }
+    broadcastRoomList();
+}
+
+function recordTournamentResult(room, gameId, result = room.winner) {
+    const t = tournaments.get(room.tournamentId);
+    if (!t || t.status !== 'running') return;
+    if (!tournament.recordResult(t, room.id, result, gameId)) return;
+
+    const round = tournament.getCurrentRound(t);
+    if (tournament.isRoundComplete(round)) {
+        if (tournament.advanceTournament(t)) {
+            openRoundRooms(t);
+            console.log(`Tournament ${t.id} round ${t.rounds.length} started`);
+        } else {
+            console.log(`Tournament ${t.id} finished. Winner: ${tournament.computeStandings(t)[0]?.name}`);
+        }
+    }
+    saveTournaments([t.id]);
+    emitTournamentUpdate(t);
+}
+
+// Ends the pairings of rooms on this node that are past their deadline
+// without a game. Nothing was played, so nothing is rated or archived.
+function forfeitTournamentNoShows(now = Date.now()) {
+    for (const t of tournaments.values()) {
+        const round = t.status === 'running' ? tournament.getCurrentRound(t) : null;
+        if (!round) continue;
+        for (const pairing of round.pairings) {
+            if (pairing.result !== null || !pairing.deadline || now < pairing.deadline) continue;
+            const room = rooms.get(pairing.roomId);
+            if (!room || room.gameStarted || room.gameOver) continue;
+
+            const present = room.players.filter(p => p.connected);
+            const result = tournament.noShowResult(present.map(p => p.color));
+            room.gameOver = true;
+            room.winner = result === tournament.DOUBLE_FORFEIT ? null : result;
+            room.endReason = END_REASONS.NO_SHOW;
+            io.to(room.id).emit(SERVER_EVENTS.GAME_END, { gameId: null, winner: room.winner, scores: room.scores, reason: END_REASONS.NO_SHOW, ratingChanges: null, clock: room.getClockState() });
+            recordTournamentResult(room, null, result);
+            console.log(`Tournament ${t.id} pairing in room ${room.id} not played in time: ${present.map(p => p.name).join(', ') || 'nobody'} present.`);
+        }
+    }
+}
+
+setInterval(() => forfeitTournamentNoShows(), NO_SHOW_CHECK_INTERVAL_MS);
+
+// Shared by the REST and socket APIs. Each returns { tournament } or { error }.
+function createTournamentFor(account, { name, format = 'swiss', rounds = null, timeControl = null } = {}) {
+    const title = String(name || '').trim().slice(0, 50);
+    if (!title) return { error: 'Vui lòng nhập tên giải đấu.' };
+    if (!tournament.FORMATS.includes(format)) return { error: 'Thể thức giải đấu không hợp lệ.' };
+    const totalRounds = rounds === null || rounds === undefined ? null : parseInt(rounds, 10);
+    if (totalRounds !== null && !(totalRounds >= 1 && totalRounds <= 20)) {
+        return { error: 'Số vòng phải từ 1 đến 20.' };
+    }
+    let parsedTimeControl;
+    try {
+        parsedTimeControl = parseTimeControl(timeControl);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    const t = tournament.createTournament({
+        id: crypto.randomUUID(),
+        name: title,
+        format,
+        totalRounds: format === 'swiss' ? totalRounds : null,
+        timeControl: formatTimeControl(parsedTimeControl),
+        createdBy: account.id
+    });
+    tournaments.set(t.id, t);
+    saveTournaments([t.id]);
+    emitTournamentUpdate(t);
+    console.log(`Tournament ${t.id} (${format}) created by ${account.username}`);
+    return { tournament: t };
+}
+
+function registerForTournament(t, account) {
+    const error = tournament.canRegister(t, account.id);
+    if (error) return { error };
+    const entry = getLeaderboardEntry(account.id, account.username);
+    t.players.push({ accountId: account.id, name: account.username, rating: Math.round(entry.rating) });
+    saveTournaments([t.id]);
+    emitTournamentUpdate(t);
+    return { tournament: t };
+}
+
+function withdrawFromTournament(t, account) {
+    if (t.status !== 'registration') return { error: 'Giải đấu đã bắt đầu, không thể rút lui.' };
+    const index = t.players.findIndex(p => p.accountId === account.id);
+    if (index === -1) return { error: 'Bạn chưa đăng ký giải đấu này.' };
+    t.players.splice(index, 1);
+    saveTournaments([t.id]);
+    emitTournamentUpdate(t);
+    return { tournament: t };
+}
+
+function beginTournament(t, account) {
+    if (t.createdBy !== account.id) return { error: 'Chỉ người tạo giải mới có thể bắt đầu.' };
+    if (t.status !== 'registration') return { error: 'Giải đấu đã bắt đầu.' };
+    if (t.players.length < tournament.MIN_PLAYERS) {
+        return { error: `Cần ít nhất ${tournament.MIN_PLAYERS} người chơi.` };
+    }
+    tournament.startTournament(t);
+    openRoundRooms(t);
+    saveTournaments([t.id]);
+    emitTournamentUpdate(t);
+    console.log(`Tournament ${t.id} started with ${t.players.length} players`);
+    return { tournament: t };
+}
+
+// On a clock the AI spends at most a tenth of what it has left on one move.
+// Book moves are only offered for 8x8 standard games (see lib/openings.js).
+function getAISearchOptions(room, color) {
+    const options = {
+        difficulty: room.aiDifficulty,
+        antiOthello: room.variant.rule === 'anti',
+        noPass: room.variant.noPass,
+        bookMoves: openings.getBookMoves(room.moveHistory, room.boardSize, room.variant)
+    };
+    if (room.clock) {
+        const { timeLimitMs } = ai.getDifficultySettings(room.aiDifficulty);
+        options.timeLimitMs = Math.max(50, Math.min(timeLimitMs, Math.floor(room.clock.timeLeft(color) / 10)));
+    }
+    return options;
+}
+
+// Handicap variants: the corner discs go to the lower-rated seat (white when
+// the ratings are equal, since black already moves first). Call before startGame.
+function assignHandicap(room) {
+    if (!room.variant.handicap) return;
+    const black = room.players.find(p => p.color === 1);
+    const white = room.players.find(p => p.color === 2);
+    if (!black || !white) return;
+    const blackRating = getLeaderboardEntry(black.accountId, black.name).rating;
+    const whiteRating = getLeaderboardEntry(white.accountId, white.name).rating;
+    room.handicapColor = blackRating < whiteRating ? 1 : 2;
+}
+
+// Game export: plain move transcript or a GGF record
+function exportGame(room, format) {
+    if (format === 'ggf') {
+        return notation.toGGF({
+            moveHistory: room.moveHistory,
+            initialBoard: room.startBoard || room.board,
+            blackName: room.players.find(p => p.color === 1)?.name,
+            whiteName: room.players.find(p => p.color === 2)?.name,
+            scores: room.scores,
+            gameOver: room.gameOver,
+            startedAt: room.startedAt
+        });
+    }
+    return notation.toTranscript(room.moveHistory);
+}
+
+// Post-game analysis is CPU-bound, so only a couple run at once
+const MAX_RUNNING_ANALYSES = 2;
+let runningAnalyses = 0;
+const pendingAnalyses = new Map(); // gameId -> Promise, so repeated requests share one run
+
+// Start position of a standard game, for records saved before startBoard was kept
+function getStandardStartBoard(boardSize) {
+    const room = new GameRoom('ANALYSIS', null, 'Black', null);
+    room.boardSize = boardSize;
+    room.initializeBoard();
+    return room.startBoard;
+}
+
+// Runs lib/analysis.js; resolves to null when too many analyses are running
+async function runAnalysis(input) {
+    if (runningAnalyses >= MAX_RUNNING_ANALYSES) return null;
+    runningAnalyses++;
+    try {
+        return await analysis.analyzeGame(input);
+    } finally {
+        runningAnalyses--;
+    }
+}
+
+// Analyzes an archived game once and keeps the result with the record
+function analyzeArchivedGame(game) {
+    if (game.analysis) return Promise.resolve(game.analysis);
+    if (!pendingAnalyses.has(game.id)) {
+        const run = runAnalysis({
+            startBoard: game.startBoard || getStandardStartBoard(game.boardSize || DEFAULT_BOARD_SIZE),
+            moves: game.moves,
+            variant: game.variant
+        }).then(result => {
+            if (result) {
+                game.analysis = result;
+                saveGameArchive([game.id]);
+            }
+            return result;
+        }).finally(() => pendingAnalyses.delete(game.id));
+        pendingAnalyses.set(game.id, run);
+    }
+    return pendingAnalyses.get(game.id);
+}
+
+// =====================================
+// REST API
+// =====================================
+// Password-protected rooms export only to their players and spectators
+// (bearer token) or with the room password in an X-Room-Password header
+app.get('/api/rooms/:roomId/export', async (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+        return res.status(404).json({ success: false, error: 'Phòng không tồn tại.' });
+    }
+    const account = getRequestAccount(req);
+    const inRoom = account && (
+        room.players.some(p => p.accountId === account.id) ||
+        room.spectators.some(s => players.get(s.id)?.accountId === account.id)
+    );
+    if (!inRoom && !(await checkRoomPassword(room, req.get('X-Room-Password')))) {
+        return res.status(403).json({ success: false, error: 'Sai mật khẩu phòng.' });
+    }
+    const format = req.query.format === 'ggf' ? 'ggf' : 'transcript';
+    const extension = format === 'ggf' ? 'ggf' : 'txt';
+    res.type('text/plain');
+    res.set('Content-Disposition', `attachment; filename="othello-${room.id}.${extension}"`);
+    res.send(exportGame(room, format));
+});
+
+// The opening book in f5 orientation, for naming openings in offline games
+app.get('/api/openings', (req, res) => {
+    res.json({ success: true, openings: openings.OPENING_BOOK });
+});
+
+app.get('/api/leaderboard', (req, res) => {
+    const minGames = req.query.minGames !== undefined ? Math.max(parseInt(req.query.minGames, 10) || 0, 0) : LEADERBOARD_MIN_GAMES;
+    res.json({ success: true, minGames, leaderboard: getSortedLeaderboard(minGames) });
+});
+
+// Player routes take a username; stats are keyed by account id. AI levels and
+// entries from before accounts existed are found by their leaderboard name.
+function resolvePlayerId(name) {
+    const account = findAccountByUsername(name);
+    if (account) return account.id;
+    if (leaderboard.has(name)) return name;
+    for (const [id, entry] of leaderboard.entries()) {
+        if (entry.name === name) return id;
+    }
+    return null;
+}
+
+app.post('/api/auth/register', async (req, res) => {
+    const { username, password } = req.body || {};
+    const invalid = auth.validateCredentials(username, password);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    if (findAccountByUsername(username)) {
+        return res.status(409).json({ success: false, error: 'Tên đăng nhập đã được sử dụng.' });
+    }
+
+    try {
+        const account = {
+            id: crypto.randomUUID(),
+            username,
+            passwordHash: await auth.hashPassword(password),
+            createdAt: Date.now()
+        };
+        accounts.set(account.id, account);
+        await saveAccounts([account.id]);
+        console.log(`Account registered: ${username}`);
+        res.json({ success: true, token: auth.createToken(account), account: { id: account.id, username } });
+    } catch (error) {
+        console.error('Error registering account:', error);
+        res.status(500).json({ success: false, error: 'Không thể tạo tài khoản.' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    const account = findAccountByUsername(username);
+    try {
+        if (!account || !(await auth.verifyPassword(password, account.passwordHash))) {
+            return res.status(401).json({ success: false, error: 'Sai tên đăng nhập hoặc mật khẩu.' });
+        }
+        res.json({ success: true, token: auth.createToken(account), account: { id: account.id, username: account.username } });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ success: false, error: 'Không thể đăng nhập.' });
+    }
+});
+
+// Account behind the request's bearer token, or null
+function getRequestAccount(req) {
+    const session = auth.verifyToken(auth.getBearerToken(req));
+    if (!session || !accounts.has(session.id)) return null;
+    return { id: session.id, username: accounts.get(session.id).username };
+}
+
+// Per-client buckets for the REST routes in ROUTE_LIMITS, keyed by account
+// or address. Sends a 429 and returns true when the client is over its limit.
+const routeLimiter = new ClientRateLimiter();
+
+function rejectRateLimited(req, res, route) {
+    const retryAfterMs = routeLimiter.consume(getRequestAccount(req)?.id || req.ip, route);
+    if (retryAfterMs === 0) return false;
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ success: false, error: 'Bạn thao tác quá nhanh, vui lòng thử lại sau.', retryAfterMs });
+    return true;
+}
+
+app.get('/api/auth/me', (req, res) => {
+    const account = getRequestAccount(req);
+    if (!account) {
+        return res.status(401).json({ success: false, error: 'Phiên đăng nhập không hợp lệ.' });
+    }
+    res.json({ success: true, account });
+});
+
+app.get('/api/players/:name/rating', (req, res) => {
+    const playerId = resolvePlayerId(req.params.name);
+    if (!playerId || !leaderboard.has(playerId)) {
+        return res.status(404).json({ success: false, error: 'Không tìm thấy người chơi.' });
+    }
+    const entry = getLeaderboardEntry(playerId);
+    res.json({
+        success: true,
+        id: playerId,
+        name: entry.name,
+        rating: Math.round(entry.rating),
+        rd: Math.round(entry.rd),
+        volatility: entry.volatility,
+        gamesPlayed: getGamesPlayed(entry),
+        provisional: getGamesPlayed(entry) < LEADERBOARD_MIN_GAMES,
+        history: entry.ratingHistory
+    });
+});
+
+app.get('/api/players/:name/stats', (req, res) => {
+    const playerId = resolvePlayerId(req.params.name);
+    if (!playerId || !gameStats.has(playerId)) {
+        return res.status(404).json({ success: false, error: 'Không tìm thấy thống kê cho người chơi này.' });
+    }
+    const stats = getStatsEntry(playerId);
+    const entry = leaderboard.has(playerId) ? getLeaderboardEntry(playerId) : null;
+    res.json({
+        success: true,
+        id: playerId,
+        name: stats.name,
+        rating: entry ? Math.round(entry.rating) : null,
+        stats: summarizePlayerStats(stats)
+    });
+});
+
+// Tournaments
+app.get('/api/tournaments', (req, res) => {
+    res.json({ success: true, tournaments: getTournamentList() });
+});
+
+app.get('/api/tournaments/:id', (req, res) => {
+    const t = tournaments.get(req.params.id);
+    if (!t) {
+        return res.status(404).json({ success: false, error: 'Không tìm thấy giải đấu.' });
+    }
+    res.json({ success: true, tournament: getTournamentDetails(t) });
+});
+
+app.post('/api/tournaments', (req, res) => {
+    const account = getRequestAccount(req);
+    if (!account) {
+        return res.status(401).json({ success: false, error: 'Vui lòng đăng nhập.' });
+    }
+    const result = createTournamentFor(account, req.body);
+    if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+    }
+    res.status(201).json({ success: true, tournament: getTournamentDetails(result.tournament) });
+});
+
+// POST /api/tournaments/:id/register | withdraw | start
+const TOURNAMENT_ACTIONS = {
+    register: registerForTournament,
+    withdraw: withdrawFromTournament,
+    start: beginTournament
+};
+
+app.post('/api/tournaments/:id/:action', (req, res) => {
+    const action = TOURNAMENT_ACTIONS[req.params.action];
+    if (!action) {
+        return res.status(404).json({ success: false, error: 'Không tìm thấy thao tác.' });
+    }
+    const account = getRequestAccount(req);
+    if (!account) {
+        return res.status(401).json({ success: false, error: 'Vui lòng đăng nhập.' });
+    }
+    const t = tournaments.get(req.params.id);
+    if (!t) {
+        return res.status(404).json({ success: false, error: 'Không tìm thấy giải đấu.' });
+    }
+    const result = action(t, account);
+    if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, tournament: getTournamentDetails(result.tournament) });
+});
+
+// Finished games, newest first. Summaries leave out the move list.
+app.get('/api/players/:name/games', (req, res) => {
+    const playerId = resolvePlayerId(req.params.name);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const games = Array.from(gameArchive.values())
+        .filter(game => game.players.some(p => (p.accountId ? p.accountId === playerId : p.name === playerId)))
+        .sort((a, b) => b.endedAt - a.endedAt);
+
+    res.json({
+        success: true,
+        total: games.length,
+        games: games.slice(offset, offset + limit).map(summarizeArchivedGame)
+    });
+});
+
+app.get('/api/games/:gameId', (req, res) => {
+    const game = gameArchive.get(req.params.gameId);
+    if (!game) {
+        return res.status(404).json({ success: false, error: 'Không tìm thấy ván cờ.' });
+    }
+    res.json({ success: true, game });
+});
+
+app.get('/api/games/:gameId/analysis', async (req, res) => {
+    const game = gameArchive.get(req.params.gameId);
+    if (!game) {
+        return res.status(404).json({ success: false, error: 'Không tìm thấy ván cờ.' });
+    }
+    // Only starting a new analysis costs; finished ones are served from the record
+    if (!game.analysis && !pendingAnalyses.has(game.id) && rejectRateLimited(req, res, 'analysis')) return;
+    try {
+        const result = await analyzeArchivedGame(game);
+        if (!result) {
+            return res.status(503).json({ success: false, error: 'Máy chủ đang bận phân tích ván khác, vui lòng thử lại sau.' });
+        }
+        res.json({ success: true, analysis: result });
+    } catch (error) {
+        console.error(`Error analyzing game ${game.id}:`, error);
+        res.status(500).json({ success: false, error: 'Không thể phân tích ván cờ.' });
+    }
+});
+
+// Analysis for games the server has no record of: offline games and games
+// against the browser AI, so guests may use it too; the rate limit keeps the
+// cost down. Body: { boardSize, moves: [{ row, col, player? }] }
+app.post('/api/analysis', async (req, res) => {
+    if (rejectRateLimited(req, res, 'analysis')) return;
+    const boardSize = req.body?.boardSize || DEFAULT_BOARD_SIZE;
+    const moves = req.body?.moves;
+    if (!LIMITS.boardSizes.includes(boardSize)) {
+        return res.status(400).json({ success: false, error: `Chưa hỗ trợ bàn cờ ${boardSize}x${boardSize}.` });
+    }
+    if (!Array.isArray(moves) || moves.length === 0 || moves.length > boardSize * boardSize) {
+        return res.status(400).json({ success: false, error: 'Danh sách nước đi không hợp lệ.' });
+    }
+    const isIndex = value => Number.isInteger(value) && value >= 0 && value < boardSize;
+    if (!moves.every(m => m && isIndex(m.row) && isIndex(m.col) && [undefined, 1, 2].includes(m.player))) {
+        return res.status(400).json({ success: false, error: 'Danh sách nước đi không hợp lệ.' });
+    }
+
+    try {
+        const result = await runAnalysis({
+            startBoard: getStandardStartBoard(boardSize),
+            moves: moves.map(({ row, col, player }) => ({ row, col, player }))
+        });
+        if (!result) {
+            return res.status(503).json({ success: false, error: 'Máy chủ đang bận phân tích ván khác, vui lòng thử lại sau.' });
+        }
+        res.json({ success: true, analysis: result });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message }); // An illegal move in the list
+    }
+});
+
+// Hints for local games: replays `moves` ({ row, col }, passes implied) from
+// the standard start and suggests up to `count` moves for the side to move.
+// The browser keeps the hint budget of local games itself, so the route is
+// rate limited; the search is time-bounded like every analysis search.
+app.post('/api/hints', (req, res) => {
+    if (rejectRateLimited(req, res, 'hints')) return;
+    const boardSize = req.body?.boardSize || DEFAULT_BOARD_SIZE;
+    const moves = req.body?.moves || [];
+    const count = req.body?.count || 1;
+    if (!LIMITS.boardSizes.includes(boardSize)) {
+        return res.status(400).json({ success: false, error: `Chưa hỗ trợ bàn cờ ${boardSize}x${boardSize}.` });
+    }
+    const isIndex = value => Number.isInteger(value) && value >= 0 && value < boardSize;
+    if (!Array.isArray(moves) || moves.length > boardSize * boardSize || !moves.every(m => m && isIndex(m.row) && isIndex(m.col))) {
+        return res.status(400).json({ success: false, error: 'Danh sách nước đi không hợp lệ.' });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > LIMITS.maxHintMoves) {
+        return res.status(400).json({ success: false, error: `Số nước gợi ý phải từ 1 đến ${LIMITS.maxHintMoves}.` });
+    }
+
+    const room = new GameRoom('HINT', null, 'Black', null);
+    const result = room.replayMoves(moves.map(({ row, col }) => ({ r: row, c: col })), getStandardStartBoard(boardSize));
+    if (!result.success) {
+        return res.status(400).json({ success: false, error: result.reason, moveIndex: result.index });
+    }
+    if (room.gameOver) {
+        return res.status(400).json({ success: false, error: 'Ván cờ đã kết thúc.' });
+    }
+    res.json({
+        success: true,
+        player: room.currentPlayer,
+        moves: analysis.suggestMoves({ board: room.board, player: room.currentPlayer, count })
+    });
+});
+
+// Rebuilds a position from a transcript or GGF record, validating each move
+app.post('/api/import', (req, res) => {
+    const text = req.body?.ggf || req.body?.transcript || req.body?.game;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ success: false, error: 'Thiếu nội dung ván cờ (transcript hoặc ggf).' });
+    }
+
+    let parsed;
+    try {
+        parsed = notation.parseGameText(text);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    if (!LIMITS.boardSizes.includes(parsed.size)) {
+        return res.status(400).json({ success: false, error: `Chưa hỗ trợ bàn cờ ${parsed.size}x${parsed.size}.` });
+    }
+
+    const room = new GameRoom('IMPORT', null, 'Black', null);
+    const result = room.replayMoves(parsed.moves, parsed.board, parsed.toMove || 1);
+    if (!result.success) {
+        return res.status(400).json({ success: false, error: result.reason, moveIndex: result.index });
+    }
+
+    res.json({
+        success: true,
+        board: room.board,
+        currentPlayer: room.currentPlayer,
+        scores: room.scores,
+        gameOver: room.gameOver,
+        winner: room.winner,
+        moveHistory: room.moveHistory,
+        initialBoard: room.snapshots[0]?.board || room.board,
+        validMoves: room.gameOver ? [] : room.calculateValidMoves(room.currentPlayer),
+        transcript: exportGame(room, 'transcript'),
+        ggf: exportGame(room, 'ggf')
+    });
+});
+
+// Online games allow a few consented takebacks per player; AI games are unlimited
+const MAX_ONLINE_UNDOS = 3;
+
+function applyUndo(room, color, message) {
+    room.undoCounts[color]++;
+    room.undoMoves(color);
+    room.addChatMessage('System', message);
+    io.to(room.id).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+    io.to(room.id).emit(SERVER_EVENTS.UNDO_APPLIED, {
+        board: room.board,
+        currentPlayer: room.currentPlayer,
+        scores: room.scores,
+        moveHistory: room.moveHistory,
+        validMoves: room.calculateValidMoves(room.currentPlayer),
+        opening: room.getOpeningName(),
+        clock: room.getClockState()
+    });
+    scheduleClockTimeout(room);
+    scheduleAIMove(room); // The takeback may leave the AI to move
+    console.log(`Room ${room.id} rewound to move ${room.moveHistory.length}.`);
+}
+
+// Socket.IO handshake: clients older than the protocol's MIN_CLIENT_VERSION
+// are turned away. A valid session token attaches the account; sockets
+// without a token connect as guests, who can only spectate.
+io.use((socket, next) => {
+    const clientVersion = socket.handshake.auth?.protocolVersion;
+    if (!isSupportedClientVersion(clientVersion)) {
+        const error = new Error('Phiên bản trò chơi của bạn đã cũ. Vui lòng tải lại trang để cập nhật.');
+        error.data = { code: ERROR_CODES.OUTDATED_CLIENT, clientVersion: clientVersion ?? null, protocolVersion: PROTOCOL_VERSION };
+        return next(error);
+    }
+
+    const token = socket.handshake.auth?.token;
+    if (!token) return next();
+    const session = auth.verifyToken(token);
+    if (!session || !accounts.has(session.id)) {
+        const error = new Error('Phiên đăng nhập không hợp lệ hoặc đã hết hạn.');
+        error.data = { code: ERROR_CODES.INVALID_TOKEN };
+        return next(error);
+    }
+    socket.data.account = { id: session.id, username: accounts.get(session.id).username };
+    next();
+});
+
+// Socket.IO Connections. Also serves RemoteSockets, whose events another
+// node forwarded because the room they are for lives here.
+io.on('connection', handleConnection);
+
+function handleConnection(socket) {
+    console.log(`A user connected: ${socket.id}`);
+    if (!(socket instanceof RemoteSocket)) {
+        if (socket.data.account) {
+            socket.join(`account:${socket.data.account.id}`); // Lets emitToAccount reach every node
+        }
+        socket.emit(SERVER_EVENTS.HELLO, { protocolVersion: PROTOCOL_VERSION, nodeId: NODE_ID, account: socket.data.account || null });
+    }
+
+    // Rejected events get a `requestError` (and a failed acknowledgement when
+    // the client asked for one) instead of reaching a handler
+    function rejectRequest(event, error, ack = null) {
+        socket.emit(SERVER_EVENTS.REQUEST_ERROR, { event, ...error });
+        if (ack) ack({ success: false, error });
+    }
+
+    // Every event passes the per-socket rate limiter and its payload schema
+    // first; handlers receive the cleaned payload
+    const limiter = new RateLimiter();
+    socket.use((packet, next) => {
+        const event = packet[0];
+        const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+
+        const retryAfterMs = limiter.consume(event);
+        if (retryAfterMs > 0) {
+            if (!isClientEvent(event)) return; // Unknown events over the limit get no reply
+            console.warn(`Rate limited ${event} from ${socket.id}`);
+            return rejectRequest(event, { code: ERROR_CODES.RATE_LIMITED, message: 'Bạn thao tác quá nhanh, vui lòng thử lại sau.', retryAfterMs }, ack);
+        }
+
+        const { value, error } = validatePayload(event, ack && packet.length === 2 ? undefined : packet[1]);
+        if (error) return rejectRequest(event, error, ack);
+
+        packet.length = 1;
+        packet.push(value);
+        if (ack) packet.push(ack);
+
+        // Events for a room this node does not have go to the node that does
+        if (clusterEnabled && value.roomId && !rooms.has(value.roomId)) {
+            routeRoomEvent(socket, event, value).then(forwarded => { if (!forwarded) next(); });
+            return;
+        }
+        next();
+    });
+
+    // Request room list on connection
+    socket.on(CLIENT_EVENTS.REQUEST_ROOM_LIST, () => {
+        socket.emit(SERVER_EVENTS.UPDATE_ROOM_LIST, getRoomList());
+    });
+
+    // Request stats on connection
+    socket.on(CLIENT_EVENTS.REQUEST_STATS, () => {
+        socket.emit(SERVER_EVENTS.UPDATE_STATS, {
+            totalOnlinePlayers: getOnlinePlayerCount(),
+            leaderboard: getSortedLeaderboard()
+        });
+    });
+
+
+    // Resync after a reconnect or a missed update; players and spectators only
+    socket.on(CLIENT_EVENTS.REQUEST_ROOM_STATE, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        if (!room) {
+            rejectRequest(CLIENT_EVENTS.REQUEST_ROOM_STATE, { code: ERROR_CODES.ROOM_NOT_FOUND, message: 'Phòng không tồn tại.' });
+            return;
+        }
+        if (players.get(socket.id)?.roomId !== roomId) {
+            rejectRequest(CLIENT_EVENTS.REQUEST_ROOM_STATE, { code: ERROR_CODES.NOT_IN_ROOM, message: 'Bạn không ở trong phòng này.' });
+            return;
+        }
+        emitRoomState(socket, room);
+    });
+
+    // Taking a seat requires a signed-in account; emits `errorEvent` otherwise
+    function requireAccount(errorEvent) {
+        if (!socket.data.account) {
+            socket.emit(SERVER_EVENTS.REQUEST_ERROR, { code: ERROR_CODES.NOT_AUTHENTICATED, message: 'Vui lòng đăng nhập để chơi online.' });
+            socket.emit(errorEvent, 'Vui lòng đăng nhập để chơi online.');
+            return null;
+        }
+        return socket.data.account;
+    }
+
+    socket.on(CLIENT_EVENTS.CREATE_ROOM, async ({ playerPieceShape, gameMode, aiDifficulty, timeControl, boardSize, variant, roomName, visibility, password, hintBudget }) => {
+        const account = requireAccount(SERVER_EVENTS.ROOM_ERROR);
+        if (!account) return;
+
+        if (countOpenRooms(account.id) >= MAX_OPEN_ROOMS_PER_ACCOUNT) {
+            rejectRequest(CLIENT_EVENTS.CREATE_ROOM, { code: ERROR_CODES.ROOM_LIMIT, message: `Bạn chỉ có thể mở tối đa ${MAX_OPEN_ROOMS_PER_ACCOUNT} phòng cùng lúc.` });
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, `Bạn chỉ có thể mở tối đa ${MAX_OPEN_ROOMS_PER_ACCOUNT} phòng cùng lúc.`);
+            return;
+        }
+
+        let parsedTimeControl;
+        try {
+            parsedTimeControl = parseTimeControl(timeControl);
+        } catch (error) {
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, error.message);
+            return;
+        }
+
+        const roomVariant = variants.normalizeVariant(variant);
+        const maxBlocked = variants.maxBlockedSquares(boardSize || DEFAULT_BOARD_SIZE);
+        if (roomVariant.blockedSquares > maxBlocked) {
+            const message = `Bàn cờ này chỉ cho phép tối đa ${maxBlocked} ô chặn.`;
+            rejectRequest(CLIENT_EVENTS.CREATE_ROOM, { code: ERROR_CODES.INVALID_PAYLOAD, field: 'variant', message });
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, message);
+            return;
+        }
+
+        let passwordHash = null;
+        if (password) {
+            try {
+                passwordHash = await auth.hashPassword(password);
+            } catch (error) {
+                console.error('Error hashing room password:', error);
+                socket.emit(SERVER_EVENTS.ROOM_ERROR, 'Không thể tạo phòng.');
+                return;
+            }
+        }
+
+        const playerName = account.username;
+        const roomId = generateRoomId();
+        const mode = gameMode === 'ai' ? 'ai' : 'online';
+        const room = new GameRoom(roomId, socket.id, playerName, playerPieceShape, roomName || null, mode, account.id);
+        room.visibility = visibility === 'unlisted' ? 'unlisted' : 'public';
+        room.passwordHash = passwordHash;
+        room.timeControl = parsedTimeControl;
+        room.boardSize = boardSize || DEFAULT_BOARD_SIZE;
+        room.variant = roomVariant;
+        room.hintBudget = hintBudget || 0;
+        // Ratings only compare standard 8x8 games
+        room.rated = room.boardSize === DEFAULT_BOARD_SIZE && variants.isStandardVariant(roomVariant);
+        room.initializeBoard(); // Picks up the clock, board size and variant
+        if (mode === 'ai') {
+            room.addAIPlayer(aiDifficulty);
+            assignHandicap(room);
+            room.startGame();
+        }
+        rooms.set(roomId, room);
+        socket.join(roomId);
+        players.set(socket.id, { roomId: roomId, accountId: account.id, name: playerName, pieceShape: playerPieceShape });
+        socket.emit(SERVER_EVENTS.ROOM_CREATED, { roomId, playerColor: 1, boardSize: room.boardSize, variant: room.variant, board: room.board, players: room.players, scores: room.scores, chatMessages: room.chatMessages, playerPieceShape: playerPieceShape, gameMode: mode, timeControl: formatTimeControl(parsedTimeControl), roomName: room.roomName, visibility: room.visibility, hasPassword: !!passwordHash });
+        emitRoomState(socket, room);
+        broadcastRoomList();
+        console.log(`Room ${roomId} (${mode}) created by ${playerName} with piece ${playerPieceShape}`);
+        if (room.gameStarted) {
+            emitGameStarted(room);
+        }
+        // Initialize leaderboard entry for host
+        if (!leaderboard.has(account.id)) {
+            getLeaderboardEntry(account.id, playerName);
+            saveLeaderboard([account.id]);
+        }
+        broadcastStats();
+    });
+
+    // Puts a returning account back into its seat; returns false if it has none
+    function reseatPlayer(room, account, playerPieceShape) {
+        const existingPlayer = room.players.find(p => p.accountId === account.id);
+        if (!existingPlayer || existingPlayer.connected) return false;
+
+        const { success, reconnected } = room.addPlayer(socket.id, account.id, account.username, playerPieceShape);
+        if (!success || !reconnected) return false;
+
+        socket.join(room.id);
+        players.set(socket.id, { roomId: room.id, accountId: account.id, name: account.username, pieceShape: existingPlayer.pieceShape });
+        // Tournament games start once both seated players have arrived
+        if (room.tournamentId && !room.gameStarted && !room.gameOver && room.getConnectedPlayerCount() === 2) {
+            room.startGame();
+        }
+        // A game restored after a restart resumes its clock once every player is back
+        if (room.clock && room.gameStarted && !room.gameOver && !room.clock.isRunning() &&
+            room.players.every(p => p.connected)) {
+            room.clock.start(room.currentPlayer);
+        }
+        // Re-send room state for reconnected player
+        socket.emit(SERVER_EVENTS.ROOM_JOINED, { roomId: room.id, playerColor: existingPlayer.color, boardSize: room.boardSize, variant: room.variant, board: room.board, players: room.players, scores: room.scores, chatMessages: room.chatMessages, gameStarted: room.gameStarted, playerPieceShape: existingPlayer.pieceShape, timeControl: formatTimeControl(room.timeControl), clock: room.getClockState() });
+        emitRoomState(socket, room);
+        io.to(room.id).emit(SERVER_EVENTS.PLAYER_JOINED, room.players); // Notify others in room
+        broadcastRoomList();
+        console.log(`Player ${account.username} reconnected to room ${room.id}`);
+        if (room.gameStarted) {
+            emitGameStarted(room);
+        }
+        broadcastStats();
+        return true;
+    }
+
+    socket.on(CLIENT_EVENTS.JOIN_ROOM, async ({ roomId, playerPieceShape, password }) => {
+        const account = requireAccount(SERVER_EVENTS.JOIN_ROOM_ERROR);
+        if (!account) return;
+
+        const room = rooms.get(roomId);
+        if (!room) {
+            socket.emit(SERVER_EVENTS.JOIN_ROOM_ERROR, 'Phòng không tồn tại.');
+            return;
+        }
+        if (!(await checkRoomPassword(room, password))) {
+            socket.emit(SERVER_EVENTS.JOIN_ROOM_ERROR, 'Sai mật khẩu phòng.');
+            return;
+        }
+        if (room.players.some(p => p.accountId === account.id && p.connected)) {
+            socket.emit(SERVER_EVENTS.JOIN_ROOM_ERROR, 'Tài khoản này đã ở trong phòng.');
+            return;
+        }
+
+        // Check for reconnection attempt by account
+        if (reseatPlayer(room, account, playerPieceShape)) return;
+
+        // Add new player to room
+        const playerName = account.username;
+        const { success, reason } = room.addPlayer(socket.id, account.id, playerName, playerPieceShape);
+        if (!success) {
+            socket.emit(SERVER_EVENTS.JOIN_ROOM_ERROR, reason);
+            return;
+        }
+
+        socket.join(roomId);
+        players.set(socket.id, { roomId: roomId, accountId: account.id, name: playerName, pieceShape: playerPieceShape });
+        const joinedPlayer = room.players.find(p => p.id === socket.id);
+        socket.emit(SERVER_EVENTS.ROOM_JOINED, { roomId, playerColor: joinedPlayer.color, boardSize: room.boardSize, variant: room.variant, board: room.board, players: room.players, scores: room.scores, chatMessages: room.chatMessages, gameStarted: room.gameStarted, playerPieceShape: playerPieceShape, timeControl: formatTimeControl(room.timeControl), clock: room.getClockState() });
+        emitRoomState(socket, room);
+        io.to(roomId).emit(SERVER_EVENTS.PLAYER_JOINED, room.players); // Notify others in room
+        broadcastRoomList();
+        console.log(`Player ${playerName} joined room ${roomId} with piece ${playerPieceShape}`);
+
+        // Initialize leaderboard entry for new player
+        if (!leaderboard.has(account.id)) {
+            getLeaderboardEntry(account.id, playerName);
+            saveLeaderboard([account.id]);
+        }
+
+        if (room.players.length === 2) {
+            assignHandicap(room);
+            room.startGame();
+            emitGameStarted(room);
+            console.log(`Game started in room ${roomId} with players: ${room.players.map(p => p.name).join(', ')}`);
+        }
+        broadcastStats();
+    });
+
+    // Rejoin Room logic (for page refresh/browser tab close)
+    socket.on(CLIENT_EVENTS.REJOIN_ROOM, async ({ roomId, password }) => {
+        const account = requireAccount(SERVER_EVENTS.ROOM_NOT_FOUND);
+        if (!account) return;
+
+        const room = rooms.get(roomId);
+        if (room && !(await checkRoomPassword(room, password))) {
+            socket.emit(SERVER_EVENTS.ROOM_NOT_FOUND, 'Sai mật khẩu phòng.');
+            return;
+        }
+        if (room && reseatPlayer(room, account, null)) return;
+        socket.emit(SERVER_EVENTS.ROOM_NOT_FOUND, 'Không thể tham gia lại phòng. Phòng không tồn tại hoặc đã đầy.');
+    });
+
+    socket.on(CLIENT_EVENTS.FIND_MATCH, ({ playerPieceShape, timeControl, rated = true }) => {
+        const account = requireAccount(SERVER_EVENTS.MATCHMAKING_ERROR);
+        if (!account) return;
+
+        if (matchmaking.has(socket.id) || matchmaking.hasAccount(account.id)) {
+            socket.emit(SERVER_EVENTS.MATCHMAKING_ERROR, 'Bạn đã ở trong hàng chờ.');
+            return;
+        }
+        const current = players.get(socket.id);
+        const currentRoom = current && rooms.get(current.roomId);
+        if (currentRoom && !current.isSpectator && !currentRoom.gameOver) {
+            socket.emit(SERVER_EVENTS.MATCHMAKING_ERROR, 'Bạn đang ở trong một phòng. Hãy rời phòng trước.');
+            return;
+        }
+
+        let parsedTimeControl;
+        try {
+            parsedTimeControl = parseTimeControl(timeControl);
+        } catch (error) {
+            socket.emit(SERVER_EVENTS.MATCHMAKING_ERROR, error.message);
+            return;
+        }
+
+        const entry = getLeaderboardEntry(account.id, account.username);
+        matchmaking.add({
+            socketId: socket.id,
+            accountId: account.id,
+            name: account.username,
+            pieceShape: playerPieceShape,
+            rating: entry.rating,
+            timeControl: parsedTimeControl,
+            rated: rated !== false
+        });
+        socket.emit(SERVER_EVENTS.MATCHMAKING_QUEUED, {
+            queueSize: matchmaking.size,
+            timeControl: formatTimeControl(parsedTimeControl),
+            rated: rated !== false
+        });
+        console.log(`${account.username} joined the matchmaking queue (${matchmaking.size} waiting)`);
+        runMatchmaking();
+    });
+
+    socket.on(CLIENT_EVENTS.CANCEL_MATCH, () => {
+        if (matchmaking.remove(socket.id)) {
+            socket.emit(SERVER_EVENTS.MATCHMAKING_CANCELLED);
+            console.log(`Socket ${socket.id} left the matchmaking queue`);
+        }
+    });
+
+    socket.on(CLIENT_EVENTS.REQUEST_TOURNAMENTS, () => {
+        socket.emit(SERVER_EVENTS.TOURNAMENT_LIST, getTournamentList());
+    });
+
+    // Live standings and pairings for one tournament
+    socket.on(CLIENT_EVENTS.WATCH_TOURNAMENT, ({ tournamentId }) => {
+        const t = tournaments.get(tournamentId);
+        if (!t) {
+            socket.emit(SERVER_EVENTS.TOURNAMENT_ERROR, 'Không tìm thấy giải đấu.');
+            return;
+        }
+        socket.join(`tournament:${t.id}`);
+        socket.emit(SERVER_EVENTS.TOURNAMENT_UPDATE, getTournamentDetails(t));
+    });
+
+    socket.on(CLIENT_EVENTS.UNWATCH_TOURNAMENT, ({ tournamentId }) => {
+        socket.leave(`tournament:${tournamentId}`);
+    });
+
+    socket.on(CLIENT_EVENTS.CREATE_TOURNAMENT, (options) => {
+        const account = requireAccount(SERVER_EVENTS.TOURNAMENT_ERROR);
+        if (!account) return;
+        const result = createTournamentFor(account, options);
+        if (result.error) {
+            socket.emit(SERVER_EVENTS.TOURNAMENT_ERROR, result.error);
+            return;
+        }
+        socket.join(`tournament:${result.tournament.id}`);
+        socket.emit(SERVER_EVENTS.TOURNAMENT_UPDATE, getTournamentDetails(result.tournament));
+    });
+
+    for (const [event, action] of [
+        [CLIENT_EVENTS.REGISTER_TOURNAMENT, registerForTournament],
+        [CLIENT_EVENTS.WITHDRAW_TOURNAMENT, withdrawFromTournament],
+        [CLIENT_EVENTS.START_TOURNAMENT, beginTournament]
+    ]) {
+        socket.on(event, ({ tournamentId }) => {
+            const account = requireAccount(SERVER_EVENTS.TOURNAMENT_ERROR);
+            if (!account) return;
+            const t = tournaments.get(tournamentId);
+            const result = t ? action(t, account) : { error: 'Không tìm thấy giải đấu.' };
+            if (result.error) {
+                socket.emit(SERVER_EVENTS.TOURNAMENT_ERROR, result.error);
+            }
+        });
+    }
+
+    // Spectators join the socket room read-only
+    socket.on(CLIENT_EVENTS.SPECTATE_ROOM, async ({ roomId, playerName, password }) => {
+        const room = rooms.get(roomId);
+        if (!room) {
+            socket.emit(SERVER_EVENTS.SPECTATE_ERROR, 'Phòng không tồn tại.');
+            return;
+        }
+        if (!(await checkRoomPassword(room, password))) {
+            socket.emit(SERVER_EVENTS.SPECTATE_ERROR, 'Sai mật khẩu phòng.');
+            return;
+        }
+        if (room.players.some(p => p.id === socket.id)) {
+            socket.emit(SERVER_EVENTS.SPECTATE_ERROR, 'Bạn đang là người chơi trong phòng này.');
+            return;
+        }
+
+        const spectatorName = socket.data.account?.username || playerName || 'Khán giả';
+        room.addSpectator(socket.id, spectatorName);
+        socket.join(roomId);
+        players.set(socket.id, { roomId: roomId, accountId: socket.data.account?.id || null, name: spectatorName, pieceShape: null, isSpectator: true });
+        socket.emit(SERVER_EVENTS.SPECTATE_JOINED, { roomId, moveCount: room.moveHistory.length });
+        emitRoomState(socket, room);
+        io.to(roomId).emit(SERVER_EVENTS.SPECTATORS_UPDATE, { spectators: room.spectators.map(s => s.name) });
+        broadcastRoomList();
+        console.log(`${spectatorName} is spectating room ${roomId}`);
+    });
+
+    socket.on(CLIENT_EVENTS.MAKE_MOVE, ({ roomId, row, col }) => {
+        const room = rooms.get(roomId);
+        if (room && room.isSpectator(socket.id)) {
+            socket.emit(SERVER_EVENTS.INVALID_MOVE, 'Khán giả không thể đi cờ.');
+            return;
+        }
+        if (!room || !room.gameStarted || room.gameOver) {
+            socket.emit(SERVER_EVENTS.INVALID_MOVE, 'Trò chơi chưa bắt đầu hoặc đã kết thúc.');
+            return;
+        }
+
+        const playerInfo = room.players.find(p => p.id === socket.id);
+        if (!playerInfo || playerInfo.color !== room.currentPlayer) {
+            socket.emit(SERVER_EVENTS.INVALID_MOVE, 'Không phải lượt của bạn!');
+            return;
+        }
+
+        if (row < room.board.length && col < room.board.length && room.isValidMove(row, col, room.currentPlayer)) {
+            processMove(room, row, col);
+        } else {
+            socket.emit(SERVER_EVENTS.INVALID_MOVE, 'Nước đi không hợp lệ!');
+        }
+    });
+
+    // Takebacks: the requester asks, the opponent accepts or declines
+    socket.on(CLIENT_EVENTS.REQUEST_UNDO, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        if (!room || !playerInfo) {
+            socket.emit(SERVER_EVENTS.UNDO_ERROR, 'Bạn không ở trong phòng này.');
+            return;
+        }
+        if (!room.canUndo(playerInfo.color)) {
+            socket.emit(SERVER_EVENTS.UNDO_ERROR, 'Không có nước đi nào để đi lại.');
+            return;
+        }
+
+        if (room.getAIPlayer()) {
+            applyUndo(room, playerInfo.color, `${playerInfo.name} đã đi lại một nước.`);
+            return;
+        }
+
+        if (room.pendingUndo) {
+            socket.emit(SERVER_EVENTS.UNDO_ERROR, 'Đang có một yêu cầu đi lại chờ trả lời.');
+            return;
+        }
+        if (room.undoCounts[playerInfo.color] >= MAX_ONLINE_UNDOS) {
+            socket.emit(SERVER_EVENTS.UNDO_ERROR, `Bạn đã dùng hết ${MAX_ONLINE_UNDOS} lần đi lại trong ván này.`);
+            return;
+        }
+
+        room.pendingUndo = { requesterId: socket.id, color: playerInfo.color, requestedAt: Date.now() };
+        socket.to(roomId).emit(SERVER_EVENTS.UNDO_REQUESTED, { from: playerInfo.name, color: playerInfo.color });
+        socket.emit(SERVER_EVENTS.UNDO_PENDING, { remaining: MAX_ONLINE_UNDOS - room.undoCounts[playerInfo.color] });
+    });
+
+    socket.on(CLIENT_EVENTS.ACCEPT_UNDO, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        if (!room || !playerInfo || !room.pendingUndo || room.pendingUndo.color === playerInfo.color) {
+            socket.emit(SERVER_EVENTS.UNDO_ERROR, 'Không có yêu cầu đi lại nào.');
+            return;
+        }
+        const requester = room.players.find(p => p.color === room.pendingUndo.color);
+        if (!room.canUndo(room.pendingUndo.color)) {
+            room.pendingUndo = null;
+            socket.emit(SERVER_EVENTS.UNDO_ERROR, 'Không có nước đi nào để đi lại.');
+            return;
+        }
+        applyUndo(room, room.pendingUndo.color, `${requester.name} đã đi lại một nước (được ${playerInfo.name} đồng ý).`);
+    });
+
+    socket.on(CLIENT_EVENTS.DECLINE_UNDO, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        if (!room || !playerInfo || !room.pendingUndo || room.pendingUndo.color === playerInfo.color) {
+            return;
+        }
+        const requesterId = room.pendingUndo.requesterId;
+        room.pendingUndo = null;
+        const message = `${playerInfo.name} đã từ chối yêu cầu đi lại.`;
+        room.addChatMessage('System', message);
+        io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+        io.to(requesterId).emit(SERVER_EVENTS.UNDO_DECLINED, { by: playerInfo.name });
+    });
+
+    // Resignation ends the game at once with the opponent as winner
+    socket.on(CLIENT_EVENTS.RESIGN, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        if (!room || !playerInfo) {
+            socket.emit(SERVER_EVENTS.GAME_ERROR, 'Bạn không ở trong phòng này.');
+            return;
+        }
+        if (!room.gameStarted || room.gameOver) {
+            socket.emit(SERVER_EVENTS.GAME_ERROR, 'Trò chơi chưa bắt đầu hoặc đã kết thúc.');
+            return;
+        }
+        if (handleFlagFall(room)) return; // Time ran out before the resignation arrived
+
+        const message = `${playerInfo.name} đã xin thua.`;
+        room.addChatMessage('System', message);
+        io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+        endGame(room, END_REASONS.RESIGNATION, playerInfo.color === 1 ? 2 : 1);
+    });
+
+    // Draw offers: one at a time, answered by the opponent before the next
+    // move is played (GameRoom.playMove drops unanswered offers)
+    socket.on(CLIENT_EVENTS.OFFER_DRAW, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        let error = null;
+        if (!room || !playerInfo) error = 'Bạn không ở trong phòng này.';
+        else if (!room.gameStarted || room.gameOver) error = 'Trò chơi chưa bắt đầu hoặc đã kết thúc.';
+        else if (room.getAIPlayer()) error = 'AI không nhận lời cầu hòa.';
+        else if (room.drawOffer) error = 'Đang có một lời cầu hòa chờ trả lời.';
+        if (error) {
+            socket.emit(SERVER_EVENTS.DRAW_ERROR, error);
+            return;
+        }
+
+        room.drawOffer = { offererId: socket.id, color: playerInfo.color };
+        room.lastActivity = Date.now();
+        const message = `${playerInfo.name} đề nghị hòa.`;
+        room.addChatMessage('System', message);
+        io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+        socket.to(roomId).emit(SERVER_EVENTS.DRAW_OFFERED, { from: playerInfo.name, color: playerInfo.color });
+        socket.emit(SERVER_EVENTS.DRAW_PENDING);
+    });
+
+    socket.on(CLIENT_EVENTS.ACCEPT_DRAW, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        if (!room || !playerInfo || room.gameOver || !room.drawOffer || room.drawOffer.color === playerInfo.color) {
+            socket.emit(SERVER_EVENTS.DRAW_ERROR, 'Không có lời cầu hòa nào, hoặc lời cầu hòa đã hết hạn.');
+            return;
+        }
+        if (handleFlagFall(room)) return;
+
+        const message = `${playerInfo.name} đã đồng ý hòa.`;
+        room.addChatMessage('System', message);
+        io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+        endGame(room, END_REASONS.DRAW_AGREED, 0);
+    });
+
+    socket.on(CLIENT_EVENTS.DECLINE_DRAW, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        if (!room || !playerInfo || !room.drawOffer || room.drawOffer.color === playerInfo.color) {
+            return;
+        }
+        const offererId = room.drawOffer.offererId;
+        room.drawOffer = null;
+        const message = `${playerInfo.name} đã từ chối lời cầu hòa.`;
+        room.addChatMessage('System', message);
+        io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+        io.to(offererId).emit(SERVER_EVENTS.DRAW_DECLINED, { by: playerInfo.name });
+    });
+
+    // Hints: the engine's best moves for the player to move, from the room's
+    // per-game budget. Taking one makes the game unrated for both players.
+    socket.on(CLIENT_EVENTS.REQUEST_HINT, ({ roomId, count = 1 }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        let error = null;
+        if (!room || !playerInfo) error = 'Bạn không ở trong phòng này.';
+        else if (room.hintBudget === 0) error = 'Phòng này không bật gợi ý.';
+        else if (!room.gameStarted || room.gameOver) error = 'Trò chơi chưa bắt đầu hoặc đã kết thúc.';
+        else if (room.currentPlayer !== playerInfo.color) error = 'Chỉ xem được gợi ý trong lượt của bạn.';
+        else if (room.getHintsRemaining(playerInfo.color) === 0) error = `Bạn đã dùng hết ${room.hintBudget} lần gợi ý trong ván này.`;
+        if (error) {
+            socket.emit(SERVER_EVENTS.HINT_ERROR, error);
+            return;
+        }
+
+        const wasRated = room.isRatedGame();
+        const moves = analysis.suggestMoves({ board: room.board, player: playerInfo.color, variant: room.variant, count });
+        room.hintsUsed.push({ player: playerInfo.color, ply: room.moveHistory.length });
+        room.lastActivity = Date.now();
+        socket.emit(SERVER_EVENTS.HINT, { moves, remaining: room.getHintsRemaining(playerInfo.color), rated: room.isRatedGame() });
+
+        const message = wasRated
+            ? `${playerInfo.name} đã dùng gợi ý, ván này không còn tính điểm xếp hạng.`
+            : `${playerInfo.name} đã dùng gợi ý.`;
+        room.addChatMessage('System', message);
+        io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+    });
+
+    socket.on(CLIENT_EVENTS.CHAT_MESSAGE, ({ roomId, message }) => {
+        const room = rooms.get(roomId);
+        const player = players.get(socket.id);
+        if (!room) {
+            rejectRequest(CLIENT_EVENTS.CHAT_MESSAGE, { code: ERROR_CODES.ROOM_NOT_FOUND, message: 'Phòng không tồn tại.' });
+            return;
+        }
+        if (!player || player.roomId !== roomId) {
+            rejectRequest(CLIENT_EVENTS.CHAT_MESSAGE, { code: ERROR_CODES.NOT_IN_ROOM, message: 'Bạn không ở trong phòng này.' });
+            return;
+        }
+        room.addChatMessage(player.name, message);
+        io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: player.name, message, timestamp: Date.now() });
+        room.lastActivity = Date.now();
+    });
+
+    // Host starts a full room waiting in the lobby, e.g. after a reset while
+    // the opponent was away. Tournament games start on their own.
+    socket.on(CLIENT_EVENTS.START_GAME, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        const playerInfo = room?.players.find(p => p.id === socket.id);
+        let error = null;
+        if (!room || !playerInfo) error = 'Bạn không ở trong phòng này.';
+        else if (!playerInfo.isHost) error = 'Chỉ chủ phòng mới có thể bắt đầu trò chơi.';
+        else if (room.tournamentId) error = 'Ván đấu trong giải sẽ tự bắt đầu khi đủ người chơi.';
+        else if (room.gameStarted && !room.gameOver) error = 'Trò chơi đã bắt đầu.';
+        else if (!room.getAIPlayer() && room.getConnectedPlayerCount() < 2) error = 'Cần đủ 2 người chơi để bắt đầu.';
+        if (error) {
+            socket.emit(SERVER_EVENTS.GAME_ERROR, error);
+            return;
+        }
+
+        assignHandicap(room);
+        room.startGame();
+        emitGameStarted(room);
+        broadcastRoomList();
+        console.log(`Game in room ${roomId} started by host.`);
+    });
+
+    socket.on(CLIENT_EVENTS.RESET_GAME, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        if (room && room.isSpectator(socket.id)) {
+            socket.emit(SERVER_EVENTS.GAME_ERROR, 'Khán giả không thể reset trò chơi.');
+            return;
+        }
+        if (room) {
+            const playerInfo = room.players.find(p => p.id === socket.id);
+            if (room.tournamentId) {
+                socket.emit(SERVER_EVENTS.GAME_ERROR, 'Không thể chơi lại ván đấu trong giải.');
+            } else if (room.gameStarted && !room.gameOver) {
+                // A running game needs a result first, or a lost position could be wiped
+                socket.emit(SERVER_EVENTS.GAME_ERROR, 'Ván đang diễn ra. Hãy xin thua hoặc cầu hòa trước khi chơi lại.');
+            } else if (playerInfo && playerInfo.isHost) {
+                room.resetGame();
+                clearTimeout(room.clockTimer);
+                io.to(roomId).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message: 'Trò chơi đã được chủ phòng khởi động lại!', timestamp: Date.now() });
+                // AI rooms never wait in the lobby; online rooms restart at once
+                // when both players are still there and go back to it otherwise
+                if (room.getAIPlayer() || room.getConnectedPlayerCount() === 2) {
+                    assignHandicap(room);
+                    room.startGame();
+                    emitGameStarted(room);
+                } else {
+                    broadcastRoomState(room);
                 }
-                // If room becomes empty, consider deleting it after a timeout or immediately
+                console.log(`Game in room ${roomId} reset by host.`);
+            } else {
+                socket.emit(SERVER_EVENTS.GAME_ERROR, 'Chỉ chủ phòng mới có thể reset trò chơi.');
+            }
+        }
+    });
+
+
+    socket.on(CLIENT_EVENTS.LEAVE_ROOM, ({ roomId }) => {
+        const room = rooms.get(roomId);
+        if (room && room.removeSpectator(socket.id)) {
+            players.delete(socket.id);
+            socket.leave(roomId);
+            io.to(roomId).emit(SERVER_EVENTS.SPECTATORS_UPDATE, { spectators: room.spectators.map(s => s.name) });
+            broadcastRoomList();
+        } else if (room) {
+            const playerLeft = room.removePlayer(socket.id);
+            if (playerLeft) {
+                players.delete(socket.id);
+                socket.leave(roomId);
+                io.to(roomId).emit(SERVER_EVENTS.PLAYER_LEFT, room.players);
+                broadcastRoomList();
+                console.log(`Player ${playerLeft.name} left room ${roomId}.`);
                 if (room.getConnectedPlayerCount() === 0) {
+                    endAbandonedAIGame(room);
+                    rooms.delete(roomId);
+                    console.log(`Room ${roomId} is empty and has been removed.`);
+                } else if (room.getConnectedPlayerCount() === 1 && room.gameStarted && !room.gameOver) {
+                    // If one player leaves in a 2-player game, the remaining player wins
+                    endGame(room, END_REASONS.DISCONNECT, room.players.find(p => p.connected)?.color);
+                    console.log(`Game in room ${roomId} ended due to player leaving.`);
+                }
+            }
+        }
+        broadcastStats();
+    });
+
+    socket.on('disconnect', () => {
+        console.log(`User disconnected: ${socket.id}`);
+        matchmaking.remove(socket.id);
+        // Nodes running this socket's rooms elsewhere clean up as well
+        for (const nodeId of forwardedSockets.get(socket.id) || []) {
+            io.serverSideEmit('forwardEvent', { nodeId, socketId: socket.id, event: 'disconnect' });
+        }
+        forwardedSockets.delete(socket.id);
+        const player = players.get(socket.id);
+        if (player) {
+            players.delete(socket.id); // Remove from global players map
+
+            const room = rooms.get(player.roomId);
+            if (room && player.isSpectator) {
+                room.removeSpectator(socket.id);
+                io.to(room.id).emit(SERVER_EVENTS.SPECTATORS_UPDATE, { spectators: room.spectators.map(s => s.name) });
+                broadcastRoomList();
+            } else if (room) {
+                const disconnectedPlayer = room.removePlayer(socket.id); // Mark as disconnected in room
+                io.to(room.id).emit(SERVER_EVENTS.PLAYER_LEFT, room.players); // Notify others in the room
+                broadcastRoomList();
+
+                console.log(`Player ${disconnectedPlayer.name} disconnected from room ${room.id}.`);
+
+                // The seat stays open so the player can rejoin, on any node;
+                // the game is forfeited only if they do not come back in time
+                if (room.gameStarted && !room.gameOver && !room.getAIPlayer() && !shuttingDown) {
+                    const seconds = Math.round(DISCONNECT_GRACE_MS / 1000);
+                    const message = `${disconnectedPlayer.name} mất kết nối. Ván đấu sẽ kết thúc nếu không quay lại trong ${seconds} giây.`;
+                    room.addChatMessage('System', message);
+                    io.to(room.id).emit(SERVER_EVENTS.CHAT_MESSAGE, { sender: 'System', message, timestamp: Date.now() });
+                    scheduleDisconnectForfeit(room, disconnectedPlayer);
+                }
+                // If room becomes empty, consider deleting it after a timeout or immediately
+                if (room.getConnectedPlayerCount() === 0 && !(room.tournamentId && !room.gameOver)) {
                     // Add a timeout to delete room if no one reconnects
                     setTimeout(() => {
                         if (room.getConnectedPlayerCount() === 0) {
+                            endAbandonedAIGame(room);
                             rooms.delete(room.id);
-                            io.emit('updateRoomList', getRoomList());
+                            broadcastRoomList();
                             console.log(`Room ${room.id} deleted due to inactivity after disconnection.`);
                         }
-                    }, 60 * 1000); // 1 minute grace period
+                    }, DISCONNECT_GRACE_MS);
                 }
             }
         }
-        io.emit('updateStats', {
-            totalOnlinePlayers: players.size,
-            leaderboard: Array.from(leaderboard.entries()).map(([name, stats]) => ({ name, ...stats })).sort((a, b) => b.wins - a.wins)
-        });
+        broadcastStats();
     });
-});
+}
 
 // Cleanup inactive rooms periodically
 setInterval(() => {
     const now = Date.now();
     let cleanedRooms = 0;
     for (const [roomId, room] of rooms.entries()) {
+        if (room.tournamentId && !room.gameOver) continue; // Waits for its pairing to be played
         // If room has no connected players for 10 minutes, remove it
         if (room.getConnectedPlayerCount() === 0 && (now - room.lastActivity > 10 * 60 * 1000)) {
+            endAbandonedAIGame(room);
             rooms.delete(roomId);
             cleanedRooms++;
             console.log(`Cleaned up inactive room: ${roomId}`);
@@ -724,27 +2563,241 @@ setInterval(() => {
             // Also disconnect remaining players
             room.players.forEach(p => {
                 if (p.connected) {
-                    io.to(p.id).emit('roomNotFound', 'Phòng đã bị xóa do không hoạt động.');
-                    io.sockets.sockets.get(p.id)?.disconnect(true);
+                    io.to(p.id).emit(SERVER_EVENTS.ROOM_NOT_FOUND, 'Phòng đã bị xóa do không hoạt động.');
+                    io.in(p.id).disconnectSockets(true);
                 }
             });
         }
     }
 
+    routeLimiter.prune(10 * 60 * 1000, now);
+
     if (cleanedRooms > 0) {
-        io.emit('updateRoomList', getRoomList());
+        broadcastRoomList();
         console.log(`Cleanup completed. Removed ${cleanedRooms} inactive rooms.`);
     }
 }, 5 * 60 * 1000); // Run every 5 minutes
 
+// =====================================
+// Cluster
+// =====================================
+// With SOCKET_ADAPTER set (lib/cluster.js) several instances share Socket.IO
+// broadcasts. A room lives on the node that created it: events for it that
+// reach another node are forwarded there, and nodes publish their room lists
+// and player counts so updateRoomList/updateStats cover the whole cluster.
+// When a node goes away, the next node asked for one of its rooms adopts it
+// from the snapshot in shared storage.
+const NODE_STATE_INTERVAL_MS = 5 * 1000;
+const NODE_TIMEOUT_MS = 15 * 1000;
+let clusterEnabled = false;
+
+const CLUSTER_COLLECTIONS = {
+    accounts,
+    leaderboard,
+    stats: gameStats,
+    games: gameArchive,
+    tournaments
+};
+
+function getLiveRemoteNodes() {
+    const now = Date.now();
+    return Array.from(remoteNodes.entries()).filter(([, state]) => now - state.updatedAt < NODE_TIMEOUT_MS);
+}
+
+function findRoomOwner(roomId) {
+    const owner = getLiveRemoteNodes().find(([, state]) => state.roomIds.includes(roomId));
+    return owner ? owner[0] : null;
+}
+
+function getOnlinePlayerCount() {
+    return getLiveRemoteNodes().reduce((total, [, state]) => total + state.playerCount, players.size);
+}
+
+function publishNodeState() {
+    if (!clusterEnabled) return;
+    io.serverSideEmit('nodeState', NODE_ID, {
+        publicRooms: getLocalRoomList(),
+        roomIds: Array.from(rooms.keys()),
+        playerCount: players.size
+    });
+}
+
+// Sends a validated room event to the node owning the room, or adopts the
+// room when its owner is gone. Resolves true when the event was forwarded.
+async function routeRoomEvent(socket, event, payload) {
+    const owner = findRoomOwner(payload.roomId);
+    if (owner) {
+        if (!forwardedSockets.has(socket.id)) forwardedSockets.set(socket.id, new Set());
+        forwardedSockets.get(socket.id).add(owner);
+        io.serverSideEmit('forwardEvent', { nodeId: owner, socketId: socket.id, account: socket.data.account || null, event, payload });
+        return true;
+    }
+    await adoptRoom(payload.roomId);
+    return false;
+}
+
+async function adoptRoom(roomId) {
+    let data = null;
+    try {
+        data = await storage.get('rooms', roomId);
+    } catch (error) {
+        console.error(`Error loading snapshot of room ${roomId}:`, error);
+    }
+    // Another event may have adopted it while storage was answering
+    if (!data || rooms.has(roomId) || findRoomOwner(roomId)) return;
+    const room = loadRoomSnapshot(roomId, data);
+    if (!room) return;
+    console.log(`Adopted room ${roomId} from node ${data.ownerNode || 'unknown'}.`);
+    endAbandonedRestoredGames([room]);
+    snapshotRooms();
+    broadcastRoomList();
+}
+
+function handleForwardedEvent({ nodeId, socketId, account, event, payload }) {
+    if (nodeId !== NODE_ID) return;
+    let remote = remoteSockets.get(socketId);
+    if (!remote) {
+        if (event === 'disconnect') return;
+        remote = new RemoteSocket(io, socketId, account);
+        remoteSockets.set(socketId, remote);
+        handleConnection(remote);
+    }
+    if (event === 'disconnect') remoteSockets.delete(socketId);
+    remote.dispatch(event, payload);
+}
+
+async function setupCluster() {
+    let adapter;
+    try {
+        adapter = await createSocketAdapter();
+    } catch (error) {
+        console.error('Error setting up the Socket.IO adapter:', error);
+        process.exit(1);
+    }
+    if (!adapter) return;
+
+    io.adapter(adapter.adapter);
+    clusterEnabled = true;
+    if (storage.name === 'json') {
+        // Every node would overwrite the others' files with its own copy
+        console.error('JSON storage is private to each node; use STORAGE_BACKEND=sqlite or redis so nodes share data.');
+        process.exit(1);
+    }
+
+    io.on('nodeState', (nodeId, state) => {
+        const isNew = !remoteNodes.has(nodeId);
+        remoteNodes.set(nodeId, { ...state, updatedAt: Date.now() });
+        if (isNew) publishNodeState(); // Introduce ourselves to the newcomer
+    });
+    io.on('forwardEvent', handleForwardedEvent);
+    io.on('recordsUpdated', (collection, entries) => {
+        const map = CLUSTER_COLLECTIONS[collection];
+        if (map) entries.forEach(([id, record]) => map.set(id, record));
+    });
+    setInterval(publishNodeState, NODE_STATE_INTERVAL_MS);
+    publishNodeState();
+    console.log(`Cluster node ${NODE_ID} using the ${adapter.name} adapter.`);
+}
+
+// =====================================
+// Room Snapshots
+// =====================================
+// Rooms are written to the "rooms" storage collection every few seconds and
+// on shutdown, and restored on boot so players can rejoinRoom after a redeploy.
+const ROOM_SNAPSHOT_INTERVAL_MS = parseInt(process.env.ROOM_SNAPSHOT_INTERVAL_MS, 10) || 10 * 1000;
+const RESTORED_ROOM_GRACE_MS = 2 * 60 * 1000; // Time players get to come back after a restart
+const savedRoomSnapshots = new Map(); // roomId -> JSON last written, to skip unchanged rooms
+let shuttingDown = false; // Once set, disconnects no longer end games so the final snapshot stays resumable
+
+async function snapshotRooms() {
+    const changed = [];
+    for (const room of rooms.values()) {
+        const snapshot = { ...room.toSnapshot(), ownerNode: NODE_ID };
+        const json = JSON.stringify(snapshot);
+        if (savedRoomSnapshots.get(room.id) !== json) {
+            changed.push([room.id, snapshot]);
+            savedRoomSnapshots.set(room.id, json);
+        }
+    }
+    const removed = Array.from(savedRoomSnapshots.keys()).filter(roomId => !rooms.has(roomId));
+    try {
+        if (changed.length > 0) await storage.setMany('rooms', changed);
+        for (const roomId of removed) {
+            await storage.remove('rooms', roomId);
+            savedRoomSnapshots.delete(roomId);
+        }
+    } catch (error) {
+        console.error('Error saving room snapshots:', error);
+        changed.forEach(([roomId]) => savedRoomSnapshots.delete(roomId)); // Retry next time
+    }
+}
+
+// With several nodes sharing storage, each restores only its own rooms; the
+// rest are adopted on demand (see adoptRoom)
+async function restoreRooms() {
+    let snapshots = {};
+    try {
+        snapshots = await storage.getAll('rooms');
+    } catch (error) {
+        console.error('Error loading room snapshots:', error);
+        return;
+    }
+
+    const restored = [];
+    for (const [roomId, data] of Object.entries(snapshots)) {
+        if (clusterEnabled && data.ownerNode && data.ownerNode !== NODE_ID) continue;
+        const room = loadRoomSnapshot(roomId, data);
+        if (room) restored.push(room);
+    }
+    if (restored.length > 0) console.log(`Restored ${restored.length} rooms from snapshots.`);
+    endAbandonedRestoredGames(restored);
+}
+
+function loadRoomSnapshot(roomId, data) {
+    try {
+        const { ownerNode, ...snapshot } = data;
+        const room = GameRoom.fromSnapshot(snapshot);
+        rooms.set(roomId, room);
+        // Forces a write on the next snapshot when the room changed owner
+        savedRoomSnapshots.set(roomId, ownerNode === NODE_ID ? JSON.stringify({ ...room.toSnapshot(), ownerNode }) : null);
+        return room;
+    } catch (error) {
+        console.error(`Could not restore room ${roomId}:`, error);
+        return null;
+    }
+}
+
+// A player who never comes back loses, like a normal disconnect
+function endAbandonedRestoredGames(restored) {
+    setTimeout(() => {
+        for (const room of restored) {
+            if (rooms.get(room.id) !== room || !room.gameStarted || room.gameOver) continue;
+            const connected = room.players.filter(p => p.connected && !p.isAI);
+            const missing = room.players.filter(p => !p.connected);
+            if (connected.length === 1 && missing.length === 1) {
+                endGame(room, END_REASONS.DISCONNECT, connected[0].color);
+                console.log(`Game in room ${room.id} ended: ${missing[0].name} did not return after the restart.`);
+            }
+        }
+    }, RESTORED_ROOM_GRACE_MS);
+}
+
+const roomSnapshotTimer = setInterval(snapshotRooms, ROOM_SNAPSHOT_INTERVAL_MS);
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    shuttingDown = true;
+    clearInterval(roomSnapshotTimer);
 
     // Save data before shutdown
     try {
         await saveLeaderboard();
         await saveStats();
+        await saveGameArchive();
+        await saveTournaments();
+        await snapshotRooms();
+        await storage.close();
         console.log('Data saved successfully.');
     } catch (error) {
         console.error('Error saving data during shutdown:', error);
@@ -759,10 +2812,16 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    shuttingDown = true;
+    clearInterval(roomSnapshotTimer);
 
     try {
         await saveLeaderboard();
         await saveStats();
+        await saveGameArchive();
+        await saveTournaments();
+        await snapshotRooms();
+        await storage.close();
         console.log('Data saved successfully.');
     } catch (error) {
         console.error('Error saving data during shutdown:', error);
@@ -777,7 +2836,10 @@ process.on('SIGINT', async () => {
 // =====================================
 // Server Start
 // =====================================
-initializeDataDirectory().then(() => {
+initializeStorage().then(async () => {
+    await setupCluster();
+    await restoreRooms();
+    tournaments.forEach(openRoundRooms); // Recreates rooms for unplayed pairings that were not restored
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, () => {
         console.log(`🚀 Othello Server running on port ${PORT}`);
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ai = require('../lib/ai');
+const engine = require('../lib/engine');
+
+test('scoreMoves scores every legal move, best first', () => {
+    const board = engine.createStartBoard(8);
+    const { scores, depth } = ai.scoreMoves(board, engine.BLACK, { depth: 3 });
+    assert.equal(depth, 3);
+    assert.deepEqual(
+        scores.map(s => `${s.move.r},${s.move.c}`).sort(),
+        engine.getValidMoves(board, engine.BLACK).map(m => `${m.r},${m.c}`).sort()
+    );
+    for (let i = 1; i < scores.length; i++) assert.ok(scores[i - 1].score >= scores[i].score);
+});
+
+test('scoreMoves stops deepening when the time budget runs out', () => {
+    // A crowded 16x16 middle game is far too slow to search to depth 6 in 20ms
+    let board = engine.createStartBoard(16);
+    let player = engine.BLACK;
+    for (let i = 0; i < 40; i++) {
+        const moves = engine.getValidMoves(board, player);
+        if (moves.length === 0) break;
+        const move = moves[i % moves.length];
+        board = engine.applyMove(board, move.r, move.c, player);
+        player = engine.opponentOf(player);
+    }
+
+    const startedAt = Date.now();
+    const { scores, depth } = ai.scoreMoves(board, player, { depth: 6, timeLimitMs: 20 });
+    assert.ok(depth >= 1 && depth < 6);
+    assert.equal(scores.length, engine.getValidMoves(board, player).length);
+    assert.ok(Date.now() - startedAt < 2000);
+});
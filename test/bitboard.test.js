@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Bitboard = require('../lib/bitboard');
+const ai = require('../lib/ai');
+
+const DIRECTIONS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+// Square-by-square reference rules, independent of lib/engine.js (which
+// itself uses the bitboards on 8x8)
+function scanFlips(board, r, c, player) {
+    if (board[r][c] !== 0) return [];
+    const opponent = 3 - player;
+    const flips = [];
+    for (const [dr, dc] of DIRECTIONS) {
+        const path = [];
+        let nr = r + dr;
+        let nc = c + dc;
+        while (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && board[nr][nc] === opponent) {
+            path.push({ r: nr, c: nc });
+            nr += dr;
+            nc += dc;
+        }
+        if (path.length > 0 && nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && board[nr][nc] === player) {
+            flips.push(...path);
+        }
+    }
+    return flips;
+}
+
+function scanMoves(board, player) {
+    const moves = [];
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            if (scanFlips(board, r, c, player).length > 0) moves.push({ r, c });
+        }
+    }
+    return moves;
+}
+
+function sortSquares(squares) {
+    return squares.map(s => s.r * 8 + s.c).sort((a, b) => a - b);
+}
+
+// Small deterministic PRNG so failures can be replayed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+function startBoard(random, blockedSquares) {
+    const board = Array.from({ length: 8 }, () => Array(8).fill(0));
+    board[3][3] = board[4][4] = 2;
+    board[3][4] = board[4][3] = 1;
+    for (let placed = 0; placed < blockedSquares;) {
+        const r = Math.floor(random() * 8);
+        const c = Math.floor(random() * 8);
+        if (board[r][c] !== 0) continue;
+        board[r][c] = 3;
+        placed++;
+    }
+    return board;
+}
+
+function checkPosition(board) {
+    const position = Bitboard.fromArray(board);
+    assert.deepEqual(Bitboard.toArray(position), board);
+
+    const counts = [0, 0, 0, 0];
+    for (const row of board) for (const cell of row) counts[cell]++;
+    assert.equal(Bitboard.countEmpty(position), counts[0]);
+    assert.equal(Bitboard.countDiscs(position, 1), counts[1]);
+    assert.equal(Bitboard.countDiscs(position, 2), counts[2]);
+    assert.equal(Bitboard.countBlocked(position), counts[3]);
+
+    for (const player of [1, 2]) {
+        const expected = scanMoves(board, player);
+        assert.deepEqual(sortSquares(Bitboard.getMoves(position, player)), sortSquares(expected));
+        assert.equal(Bitboard.countMoves(position, player), expected.length);
+        assert.equal(Bitboard.hasMoves(position, player), expected.length > 0);
+        for (const { r, c } of expected) {
+            assert.deepEqual(sortSquares(Bitboard.getFlips(position, player, r, c)), sortSquares(scanFlips(board, r, c, player)));
+        }
+    }
+    assert.deepEqual(Bitboard.countStableDiscs(position), ai.countStableDiscs(board));
+    return position;
+}
+
+test('squareIndex numbers a1 as 0 and h8 as 63', () => {
+    assert.equal(Bitboard.squareIndex(0, 0), 0);
+    assert.equal(Bitboard.squareIndex(3, 4), 28);
+    assert.equal(Bitboard.squareIndex(7, 7), 63);
+});
+
+test('bitboards match a square-by-square scan over 300 random games', () => {
+    const random = createRandom(20240611);
+    for (let game = 0; game < 300; game++) {
+        let board = startBoard(random, game % 3 === 0 ? Math.floor(random() * 6) : 0);
+        let player = 1;
+        let passes = 0;
+
+        while (passes < 2) {
+            const position = checkPosition(board);
+            const moves = scanMoves(board, player);
+            if (moves.length === 0) {
+                passes++;
+                player = 3 - player;
+                continue;
+            }
+            passes = 0;
+
+            const { r, c } = moves[Math.floor(random() * moves.length)];
+            const next = board.map(row => row.slice());
+            next[r][c] = player;
+            for (const flip of scanFlips(board, r, c, player)) next[flip.r][flip.c] = player;
+
+            assert.deepEqual(Bitboard.toArray(Bitboard.applyMove(position, player, r, c)), next);
+            board = next;
+            player = 3 - player;
+        }
+    }
+});
+
+test('edge discs do not wrap around to the other side of the board', () => {
+    // Black on h1, white on a2: a shift that wrapped would see a line h1-a2-b2
+    const board = Array.from({ length: 8 }, () => Array(8).fill(0));
+    board[0][7] = 1;
+    board[1][0] = 2;
+    const position = Bitboard.fromArray(board);
+    assert.deepEqual(Bitboard.getMoves(position, 1), []);
+    assert.deepEqual(Bitboard.getFlips(position, 1, 1, 1), []);
+});
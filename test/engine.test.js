@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../lib/engine');
+
+const { EMPTY, BLACK, WHITE, BLOCKED } = engine;
+
+function emptyBoard(size) {
+    return Array.from({ length: size }, () => Array(size).fill(EMPTY));
+}
+
+function squares(moves) {
+    return moves.map(m => `${m.r},${m.c}`).sort();
+}
+
+test('createStartBoard puts the four discs in the centre', () => {
+    for (const size of [4, 8, 10]) {
+        const board = engine.createStartBoard(size);
+        const mid = size / 2;
+        assert.equal(board[mid - 1][mid - 1], WHITE);
+        assert.equal(board[mid][mid], WHITE);
+        assert.equal(board[mid - 1][mid], BLACK);
+        assert.equal(board[mid][mid - 1], BLACK);
+        assert.deepEqual(engine.getScores(board), { [BLACK]: 2, [WHITE]: 2 });
+    }
+});
+
+test('black has the four usual opening moves on every board size', () => {
+    for (const size of [6, 8, 12]) {
+        const m = size / 2;
+        assert.deepEqual(squares(engine.getValidMoves(engine.createStartBoard(size), BLACK)), squares([
+            { r: m - 2, c: m - 1 }, { r: m - 1, c: m - 2 }, { r: m, c: m + 1 }, { r: m + 1, c: m }
+        ]));
+    }
+});
+
+test('applyMove flips every bracketed line and leaves the input untouched', () => {
+    const board = emptyBoard(6);
+    board[2][2] = EMPTY;
+    board[2][3] = WHITE;
+    board[2][4] = BLACK;
+    board[3][3] = WHITE;
+    board[4][4] = BLACK;
+    board[1][2] = WHITE; // Not bracketed
+    const before = JSON.stringify(board);
+
+    assert.deepEqual(engine.getFlips(board, 2, 2, BLACK).map(String).sort(), ['2,3', '3,3']);
+    const next = engine.applyMove(board, 2, 2, BLACK);
+    assert.equal(JSON.stringify(board), before);
+    assert.equal(next[2][2], BLACK);
+    assert.equal(next[2][3], BLACK);
+    assert.equal(next[3][3], BLACK);
+    assert.equal(next[1][2], WHITE);
+});
+
+test('blocked squares stop lines and cannot be played', () => {
+    const board = engine.createStartBoard(6);
+    board[2][1] = BLOCKED;
+    assert.equal(engine.isValidMove(board, 2, 1, BLACK), false);
+
+    board[1][1] = BLACK;
+    board[3][3] = BLOCKED;
+    assert.deepEqual(engine.getFlips(board, 4, 4, BLACK), []);
+    assert.equal(engine.countDiscs(board)[BLOCKED], 2);
+});
+
+test('getTurnAfterMove passes, hands over or ends the game', () => {
+    // White has no move here, black still has one
+    const board = emptyBoard(6);
+    board[0][0] = BLACK;
+    board[0][1] = WHITE;
+    board[0][2] = WHITE;
+
+    assert.equal(engine.hasValidMove(board, WHITE), false);
+    assert.deepEqual(engine.getTurnAfterMove(board, BLACK), { player: BLACK, passed: true, gameOver: false });
+    assert.deepEqual(engine.getTurnAfterMove(board, BLACK, { noPass: true }), { player: WHITE, passed: false, gameOver: true });
+    assert.equal(engine.isGameOver(board, WHITE), false);
+    assert.equal(engine.isGameOver(board, WHITE, { noPass: true }), true);
+
+    const start = engine.createStartBoard(8);
+    assert.deepEqual(engine.getTurnAfterMove(start, WHITE), { player: BLACK, passed: false, gameOver: false });
+});
+
+test('a board with only one color is game over', () => {
+    const board = emptyBoard(8);
+    board[0][0] = BLACK;
+    board[7][7] = BLACK;
+    assert.equal(engine.isGameOver(board, WHITE), true);
+    assert.deepEqual(engine.getTurnAfterMove(board, BLACK), { player: BLACK, passed: false, gameOver: true });
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const notation = require('../lib/notation');
+const engine = require('../lib/engine');
+
+test('squareName and parseSquare round-trip every square', () => {
+    for (const size of [8, 12, 16]) {
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                assert.deepEqual(notation.parseSquare(notation.squareName(r, c), size), { r, c });
+            }
+        }
+    }
+    assert.equal(notation.squareName(4, 5), 'f5');
+    assert.deepEqual(notation.parseSquare('F5'), { r: 4, c: 5 });
+});
+
+test('parseSquare rejects squares outside the board', () => {
+    assert.equal(notation.parseSquare('i1'), null);
+    assert.equal(notation.parseSquare('a9'), null);
+    assert.equal(notation.parseSquare('a0'), null);
+    assert.equal(notation.parseSquare('zz'), null);
+    assert.deepEqual(notation.parseSquare('l12', 12), { r: 11, c: 11 });
+});
+
+test('parseTranscript tolerates separators and explicit passes', () => {
+    assert.deepEqual(notation.parseTranscript('f5 d6, c3;pa d3 --'), [
+        { r: 4, c: 5 },
+        { r: 5, c: 3 },
+        { r: 2, c: 2 },
+        { pass: true },
+        { r: 2, c: 3 },
+        { pass: true }
+    ]);
+});
+
+test('parseTranscript rejects empty input and unreadable tokens', () => {
+    assert.throws(() => notation.parseTranscript('   '), /trống/);
+    assert.throws(() => notation.parseTranscript('f5?d6'), /vị trí 3/);
+    assert.throws(() => notation.parseTranscript('f5i1'), /Ô không hợp lệ: "i1"/);
+});
+
+test('toTranscript output parses back to the same moves', () => {
+    const moveHistory = [
+        { row: 4, col: 5, player: 1 },
+        { row: 5, col: 3, player: 2 },
+        { row: 2, col: 2, player: 1 }
+    ];
+    const transcript = notation.toTranscript(moveHistory);
+    assert.equal(transcript, 'f5d6c3');
+    assert.deepEqual(notation.parseTranscript(transcript), moveHistory.map(m => ({ r: m.row, c: m.col })));
+});
+
+test('toGGF output parses back with board, moves and passes', () => {
+    const initialBoard = Array.from({ length: 8 }, () => Array(8).fill(0));
+    initialBoard[3][3] = initialBoard[4][4] = 2;
+    initialBoard[3][4] = initialBoard[4][3] = 1;
+
+    const ggf = notation.toGGF({
+        moveHistory: [
+            { row: 4, col: 5, player: 1 },
+            { row: 5, col: 3, player: 2, opponentPassed: true }
+        ],
+        initialBoard,
+        blackName: 'An [x]',
+        whiteName: 'Bình',
+        scores: { 1: 30, 2: 34 },
+        gameOver: true,
+        startedAt: Date.UTC(2024, 0, 2, 3, 4, 5)
+    });
+
+    assert.match(ggf, /DT\[2024\.01\.02_03:04:05\.GMT\]/);
+    assert.match(ggf, /PB\[An x\]/);
+    assert.match(ggf, /RE\[-4\.000\]/);
+
+    const parsed = notation.parseGGF(ggf);
+    assert.equal(parsed.size, 8);
+    assert.equal(parsed.toMove, 1);
+    assert.deepEqual(parsed.board, initialBoard);
+    assert.deepEqual(parsed.moves, [
+        { color: 1, r: 4, c: 5 },
+        { color: 2, r: 5, c: 3 },
+        { color: 1, pass: true }
+    ]);
+});
+
+test('parseGameText picks GGF or transcript by content', () => {
+    assert.equal(notation.parseGameText('(;GM[Othello]TY[10]B[j10];)').size, 10);
+    assert.deepEqual(notation.parseGameText('f5', 8), {
+        moves: [{ r: 4, c: 5 }], size: 8, board: null, toMove: null
+    });
+    assert.throws(() => notation.parseGGF('f5d6'), /GGF/);
+});
+
+// Plays the first legal move each turn until the game is over, recording
+// moves the way GameRoom does. On 8x8 this game has four passes.
+function playGameWithPass(size) {
+    let board = engine.createStartBoard(size);
+    let player = engine.BLACK;
+    const moveHistory = [];
+    for (;;) {
+        const [move] = engine.getValidMoves(board, player);
+        board = engine.applyMove(board, move.r, move.c, player);
+        const turn = engine.getTurnAfterMove(board, player);
+        moveHistory.push({ row: move.r, col: move.c, player, opponentPassed: turn.passed });
+        if (turn.gameOver) return { moveHistory, board };
+        player = turn.player;
+    }
+}
+
+test('a game with a pass survives a GGF export and replay', () => {
+    const { moveHistory } = playGameWithPass(8);
+    assert.ok(moveHistory.some(m => m.opponentPassed));
+
+    const ggf = notation.toGGF({ moveHistory, initialBoard: engine.createStartBoard(8), gameOver: true });
+    assert.match(ggf, /\[PA\]/);
+    const parsed = notation.parseGGF(ggf);
+    const replay = notation.replayMoves(parsed.moves, parsed.board, parsed.toMove);
+    assert.deepEqual(replay.moves, moveHistory.map(m => ({ r: m.row, c: m.col, player: m.player })));
+});
+
+test('replayMoves accepts transcripts with implicit or written passes', () => {
+    const { moveHistory } = playGameWithPass(8);
+    const expected = moveHistory.map(m => ({ r: m.row, c: m.col, player: m.player }));
+    const written = moveHistory.map(m => notation.squareName(m.row, m.col) + (m.opponentPassed ? ' pa' : '')).join(' ');
+
+    for (const text of [notation.toTranscript(moveHistory), written]) {
+        const replay = notation.replayMoves(notation.parseTranscript(text), engine.createStartBoard(8), engine.BLACK);
+        assert.deepEqual(replay.moves, expected);
+    }
+});
+
+test('replayMoves rejects passes and moves that break the rules', () => {
+    const start = engine.createStartBoard(8);
+    assert.deepEqual(notation.replayMoves([{ pass: true }], start, engine.BLACK), { index: 0, reason: 'Bỏ lượt khi vẫn còn nước đi.' });
+    assert.equal(notation.replayMoves([{ r: 0, c: 0 }], start, engine.BLACK).index, 0);
+    assert.equal(notation.replayMoves([{ r: 4, c: 5, color: engine.WHITE }], start, engine.BLACK).reason, 'Sai lượt đi.');
+
+    const { moveHistory } = playGameWithPass(8);
+    const moves = moveHistory.map(m => ({ r: m.row, c: m.col }));
+    moves.push({ r: 0, c: 0 });
+    assert.deepEqual(notation.replayMoves(moves, engine.createStartBoard(8), engine.BLACK), {
+        index: moveHistory.length,
+        reason: 'Ván cờ đã kết thúc trước nước này.'
+    });
+});
+
+test('blocked squares survive a GGF export and import', () => {
+    const initialBoard = engine.createStartBoard(8);
+    initialBoard[0][0] = engine.BLOCKED;
+    initialBoard[2][3] = engine.BLOCKED;
+
+    const ggf = notation.toGGF({ moveHistory: [], initialBoard });
+    assert.match(ggf, /BO\[8 #/);
+    const parsed = notation.parseGGF(ggf);
+    assert.deepEqual(parsed.board, initialBoard);
+
+    // d3 is blocked, so it is not a legal opening move any more
+    assert.equal(notation.replayMoves([{ r: 2, c: 3 }], parsed.board, parsed.toMove).reason, 'Nước đi d3 không hợp lệ.');
+    assert.ok(notation.replayMoves([{ r: 3, c: 2 }], parsed.board, parsed.toMove).moves);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, ClientRateLimiter, UNKNOWN_EVENT } = require('../lib/ratelimit');
+
+test('RateLimiter allows a burst up to capacity, then reports the wait', () => {
+    const limiter = new RateLimiter({ chatMessage: { capacity: 3, refillPerSecond: 0.5 } });
+    for (let i = 0; i < 3; i++) assert.equal(limiter.consume('chatMessage', 1000), 0);
+    assert.equal(limiter.consume('chatMessage', 1000), 2000);
+    assert.equal(limiter.consume('chatMessage', 2000), 1000);
+    assert.equal(limiter.consume('chatMessage', 3000), 0);
+});
+
+test('RateLimiter refills no further than capacity', () => {
+    const limiter = new RateLimiter({ makeMove: { capacity: 2, refillPerSecond: 1 } });
+    limiter.consume('makeMove', 0);
+    limiter.consume('makeMove', 0);
+    for (let i = 0; i < 2; i++) assert.equal(limiter.consume('makeMove', 60000), 0);
+    assert.ok(limiter.consume('makeMove', 60000) > 0);
+});
+
+test('RateLimiter keeps one bucket per event and falls back to the default limit', () => {
+    const limiter = new RateLimiter({ createRoom: { capacity: 1, refillPerSecond: 0.1 } }, { capacity: 2, refillPerSecond: 1 });
+    assert.equal(limiter.consume('createRoom', 0), 0);
+    assert.equal(limiter.consume('createRoom', 0), 10000);
+    assert.equal(limiter.consume('joinRoom', 0), 0);
+    assert.equal(limiter.consume('joinRoom', 0), 0);
+    assert.equal(limiter.consume('joinRoom', 0), 1000);
+});
+
+test('RateLimiter puts every unknown event name in one shared bucket', () => {
+    const limiter = new RateLimiter();
+    const results = [];
+    for (let i = 0; i < 100; i++) results.push(limiter.consume(`made-up-${i}`, 0));
+    assert.ok(results.filter(wait => wait === 0).length < 10);
+    assert.deepEqual([...limiter.buckets.keys()], [UNKNOWN_EVENT]);
+
+    // Names inherited from Object.prototype are unknown too
+    assert.ok(limiter.consume('toString', 0) > 0);
+    assert.equal(limiter.consume('chatMessage', 0), 0);
+});
+
+test('ClientRateLimiter keeps separate buckets per client', () => {
+    const limiter = new ClientRateLimiter({ analysis: { capacity: 1, refillPerSecond: 1 / 30 } });
+    assert.equal(limiter.consume('acc-1', 'analysis', 0), 0);
+    assert.equal(limiter.consume('acc-1', 'analysis', 0), 30000);
+    assert.equal(limiter.consume('127.0.0.1', 'analysis', 0), 0);
+});
+
+test('ClientRateLimiter.prune forgets idle clients only', () => {
+    const limiter = new ClientRateLimiter();
+    limiter.consume('idle', 'hints', 0);
+    limiter.consume('active', 'hints', 0);
+    limiter.consume('active', 'hints', 9 * 60 * 1000);
+    limiter.prune(5 * 60 * 1000, 10 * 60 * 1000);
+    assert.deepEqual([...limiter.clients.keys()], ['active']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rating = require('../lib/rating');
+
+test('createRating returns the Glicko-2 defaults', () => {
+    assert.deepEqual(rating.createRating(), {
+        rating: rating.DEFAULT_RATING,
+        rd: rating.DEFAULT_RD,
+        volatility: rating.DEFAULT_VOLATILITY
+    });
+});
+
+test('a win between new players moves both ratings by the same amount', () => {
+    const [winner, loser] = rating.rateGame(rating.createRating(), rating.createRating(), 1);
+    assert.ok(winner.rating > 1500);
+    assert.ok(loser.rating < 1500);
+    assert.ok(Math.abs((winner.rating - 1500) - (1500 - loser.rating)) < 1e-9);
+    assert.ok(winner.rd < rating.DEFAULT_RD);
+    assert.ok(Math.abs(winner.rd - loser.rd) < 1e-9);
+});
+
+test('a draw between equal players leaves ratings unchanged', () => {
+    const [a, b] = rating.rateGame(rating.createRating(), rating.createRating(), 0.5);
+    assert.ok(Math.abs(a.rating - 1500) < 1e-9);
+    assert.ok(Math.abs(b.rating - 1500) < 1e-9);
+});
+
+test('beating a stronger opponent gains more than beating a weaker one', () => {
+    const player = { rating: 1500, rd: 100, volatility: 0.06 };
+    const strong = { rating: 1800, rd: 100, volatility: 0.06 };
+    const weak = { rating: 1200, rd: 100, volatility: 0.06 };
+    const upset = rating.updateRating(player, strong, 1).rating - 1500;
+    const expected = rating.updateRating(player, weak, 1).rating - 1500;
+    assert.ok(upset > expected);
+    assert.ok(expected > 0);
+});
+
+test('rating deviation stays within its bounds over many games', () => {
+    let a = rating.createRating();
+    let b = rating.createRating();
+    for (let i = 0; i < 500; i++) {
+        [a, b] = rating.rateGame(a, b, i % 3 === 0 ? 0 : 1);
+        for (const r of [a, b]) {
+            assert.ok(r.rd >= 30 && r.rd <= rating.DEFAULT_RD);
+            assert.ok(Number.isFinite(r.rating) && Number.isFinite(r.volatility));
+        }
+    }
+    assert.ok(a.rating > b.rating);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tournaments = require('../lib/tournament');
+
+function makeTournament(format, count, totalRounds = null) {
+    const tournament = tournaments.createTournament({ id: 't1', name: 'Test', format, totalRounds, createdBy: 'p1' });
+    for (let i = 1; i <= count; i++) {
+        tournament.players.push({ accountId: `p${i}`, name: `Player ${i}`, rating: 1500 + i });
+    }
+    return tournament;
+}
+
+// Plays every open pairing of the current round; the lower-numbered player wins
+function playRound(tournament, round) {
+    round.pairings.forEach((pairing, i) => {
+        if (pairing.result !== null) return;
+        pairing.roomId = `r${round.number}-${i}`;
+        const blackWins = Number(pairing.black.slice(1)) < Number(pairing.white.slice(1));
+        assert.ok(tournaments.recordResult(tournament, pairing.roomId, blackWins ? 1 : 2));
+    });
+    assert.ok(tournaments.isRoundComplete(round));
+}
+
+function meetings(tournament) {
+    const seen = new Map();
+    for (const round of tournament.rounds) {
+        for (const { black, white } of round.pairings) {
+            if (white === null) continue;
+            const key = [black, white].sort().join('-');
+            seen.set(key, (seen.get(key) || 0) + 1);
+        }
+    }
+    return seen;
+}
+
+test('canRegister rejects duplicates and started tournaments', () => {
+    const tournament = makeTournament('swiss', 2);
+    assert.equal(tournaments.canRegister(tournament, 'p3'), null);
+    assert.match(tournaments.canRegister(tournament, 'p1'), /đã đăng ký/);
+    tournaments.startTournament(tournament);
+    assert.match(tournaments.canRegister(tournament, 'p3'), /đã bắt đầu/);
+});
+
+test('round-robin schedule pairs everyone exactly once', () => {
+    for (const count of [2, 5, 6, 9]) {
+        const ids = Array.from({ length: count }, (_, i) => `p${i + 1}`);
+        const schedule = tournaments.generateRoundRobinSchedule(ids);
+        assert.equal(schedule.length, count % 2 === 0 ? count - 1 : count);
+
+        const pairs = new Set();
+        const byes = new Map();
+        const blackGames = new Map(ids.map(id => [id, 0]));
+        for (const round of schedule) {
+            const inRound = round.flat().filter(id => id !== null);
+            assert.equal(new Set(inRound).size, count);
+            for (const [a, b] of round) {
+                if (b === null) {
+                    byes.set(a, (byes.get(a) || 0) + 1);
+                    continue;
+                }
+                pairs.add([a, b].sort().join('-'));
+                // Black goes to whoever has had it less often so far
+                assert.ok(blackGames.get(a) <= blackGames.get(b));
+                blackGames.set(a, blackGames.get(a) + 1);
+            }
+        }
+        assert.equal(pairs.size, count * (count - 1) / 2);
+        if (count % 2 === 1) assert.ok(ids.every(id => byes.get(id) === 1));
+    }
+});
+
+test('a round-robin tournament runs to completion with correct standings', () => {
+    const tournament = makeTournament('round-robin', 4);
+    let round = tournaments.startTournament(tournament);
+    assert.equal(tournament.totalRounds, 3);
+    while (round) {
+        playRound(tournament, round);
+        round = tournaments.advanceTournament(tournament);
+    }
+    assert.equal(tournament.status, 'finished');
+    assert.ok(tournament.finishedAt);
+
+    const standings = tournaments.computeStandings(tournament);
+    assert.deepEqual(standings.map(row => [row.accountId, row.points]), [
+        ['p1', 3], ['p2', 2], ['p3', 1], ['p4', 0]
+    ]);
+    assert.equal(tournaments.summarizeTournament(tournament).currentRound, 3);
+});
+
+test('swiss rounds avoid rematches and rotate the bye', () => {
+    const tournament = makeTournament('swiss', 7, 5);
+    let round = tournaments.startTournament(tournament);
+    while (round) {
+        assert.equal(round.pairings.filter(p => p.result === 'bye').length, 1);
+        playRound(tournament, round);
+        round = tournaments.advanceTournament(tournament);
+    }
+    assert.equal(tournament.rounds.length, 5);
+    assert.ok([...meetings(tournament).values()].every(n => n === 1));
+
+    const byePlayers = tournament.rounds.map(r => r.pairings.find(p => p.result === 'bye').black);
+    assert.equal(new Set(byePlayers).size, byePlayers.length);
+
+    const standings = tournaments.computeStandings(tournament);
+    assert.equal(standings[0].accountId, 'p1');
+    // The bye counts as a win's worth of points in Swiss
+    assert.equal(standings.reduce((sum, row) => sum + row.points, 0), 5 * 3 + 5);
+});
+
+test('swiss picks a default round count from the field size', () => {
+    const tournament = makeTournament('swiss', 8);
+    tournaments.startTournament(tournament);
+    assert.equal(tournament.totalRounds, 4);
+});
+
+test('recordResult ignores unknown rooms and repeated results', () => {
+    const tournament = makeTournament('round-robin', 2);
+    const round = tournaments.startTournament(tournament);
+    round.pairings[0].roomId = 'room';
+    assert.equal(tournaments.recordResult(tournament, 'other', 1), null);
+    assert.ok(tournaments.recordResult(tournament, 'room', 0, 'g1'));
+    assert.equal(tournaments.recordResult(tournament, 'room', 1), null);
+    assert.equal(round.pairings[0].gameId, 'g1');
+
+    const [a, b] = tournaments.computeStandings(tournament);
+    assert.equal(a.draws, 1);
+    assert.equal(b.points, 0.5);
+});
+
+test('noShowResult awards the game to the player who turned up', () => {
+    assert.equal(tournaments.noShowResult([1]), 1);
+    assert.equal(tournaments.noShowResult([2]), 2);
+    assert.equal(tournaments.noShowResult([]), tournaments.DOUBLE_FORFEIT);
+});
+
+test('a double forfeit completes the round and scores nobody', () => {
+    const tournament = makeTournament('swiss', 4, 2);
+    const round = tournaments.startTournament(tournament);
+    assert.ok(round.pairings.every(p => p.deadline === null));
+    round.pairings.forEach((pairing, i) => { pairing.roomId = `r${i}`; });
+
+    tournaments.recordResult(tournament, 'r0', tournaments.noShowResult([]));
+    tournaments.recordResult(tournament, 'r1', tournaments.noShowResult([1]));
+    assert.ok(tournaments.isRoundComplete(round));
+
+    const standings = tournaments.computeStandings(tournament);
+    const points = Object.fromEntries(standings.map(row => [row.accountId, row.points]));
+    const [absentA, absentB] = [round.pairings[0].black, round.pairings[0].white];
+    assert.equal(points[absentA], 0);
+    assert.equal(points[absentB], 0);
+    assert.equal(points[round.pairings[1].black], 1);
+    assert.equal(standings.find(row => row.accountId === absentA).losses, 1);
+    assert.ok(tournaments.advanceTournament(tournament));
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CLIENT_EVENTS } = require('../lib/protocol');
+const { ERROR_CODES, EVENT_SCHEMAS, validatePayload } = require('../lib/validation');
+
+test('every client event has a schema', () => {
+    assert.deepEqual(Object.keys(EVENT_SCHEMAS).sort(), [...new Set(Object.values(CLIENT_EVENTS))].sort());
+});
+
+test('validatePayload trims strings and drops unknown fields', () => {
+    const result = validatePayload('chatMessage', { roomId: 'ABC123', message: '  xin chào  ', extra: 1 });
+    assert.deepEqual(result, { value: { roomId: 'ABC123', message: 'xin chào' } });
+});
+
+test('validatePayload accepts a missing payload for events without fields', () => {
+    assert.deepEqual(validatePayload('requestRoomList'), { value: {} });
+});
+
+test('validatePayload reports the first bad field', () => {
+    const { error } = validatePayload('makeMove', { roomId: 'ABC123', row: 2.5, col: 3 });
+    assert.equal(error.code, ERROR_CODES.INVALID_PAYLOAD);
+    assert.equal(error.field, 'row');
+
+    assert.equal(validatePayload('makeMove', { roomId: 'AB C', row: 1, col: 1 }).error.field, 'roomId');
+    assert.equal(validatePayload('chatMessage', { roomId: 'ABC123', message: '   ' }).error.field, 'message');
+    assert.equal(validatePayload('joinRoom', ['ABC123']).error.code, ERROR_CODES.INVALID_PAYLOAD);
+});
+
+test('validatePayload checks nested variant options', () => {
+    const ok = validatePayload('createRoom', { boardSize: 10, variant: { noPass: true } });
+    assert.deepEqual(ok.value, { boardSize: 10, variant: { noPass: true } });
+
+    const bad = validatePayload('createRoom', { variant: { noPass: 'yes' } });
+    assert.equal(bad.error.field, 'variant');
+    assert.match(bad.error.message, /noPass/);
+    assert.equal(validatePayload('createRoom', { boardSize: 9 }).error.field, 'boardSize');
+});
+
+test('validatePayload rejects unknown events', () => {
+    assert.equal(validatePayload('dropTables', {}).error.code, ERROR_CODES.UNKNOWN_EVENT);
+    assert.equal(validatePayload('constructor', {}).error.code, ERROR_CODES.UNKNOWN_EVENT);
+});